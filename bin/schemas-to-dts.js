@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/*
+  Emits TypeScript declarations for the specs exported by a module:
+
+    schemas-to-dts ./schemas.js > schemas.d.ts
+
+  Every named export that is a spec becomes an interface (object specs) or a type alias.
+*/
+import { pathToFileURL } from 'node:url';
+import { resolve } from 'node:path';
+import { toDeclarations } from '../toTypeScript.js';
+
+const [file] = process.argv.slice(2);
+if (!file) {
+  console.error('usage: schemas-to-dts <module>');
+  process.exit(1);
+}
+
+const module = await import(pathToFileURL(resolve(file)).href);
+const specs = Object.fromEntries(
+  Object.entries(module).filter(([name, spec]) => name !== 'default' && typeof spec !== 'function')
+);
+process.stdout.write(`// generated from ${file} by schemas-to-dts\n\n` + toDeclarations(specs));
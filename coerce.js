@@ -0,0 +1,176 @@
+import { parseType, compileType, typeExpression } from "./parseType.js";
+import { deriveSpec, unwrapShape, unionCase } from "./shapes.js";
+import { isDescriptor, ISO_DATE } from "./constraints.js";
+import { undotWith } from "./paths.js";
+
+// values a string could stand for, in order of preference
+function conversions(value) {
+  if (typeof value !== 'string') return [];
+  const s = value.trim();
+  const out = [];
+  if (s !== '' && isFinite(s)) out.push(Number(s));
+  if (s === 'true' || s === 'false') out.push(s === 'true');
+  if (ISO_DATE.test(s)) out.push(new Date(s));
+  return out;
+}
+
+// the value itself if it passes, else the first conversion that does, else the value unchanged
+function coerceTo(predicate, value) {
+  if (predicate(value)) return value;
+  for (const candidate of conversions(value)) if (predicate(candidate)) return candidate;
+  return value;
+}
+
+function coerceNode(node, typeCheckers) {
+  switch (node.kind) {
+    case 'name':
+    case 'literal': {
+      const predicate = compileType(node, typeCheckers);
+      return value => coerceTo(predicate, value);
+    }
+    case 'range':
+      return coerceNode(node.type, typeCheckers);
+    case 'optional': {
+      const type = coerceNode(node.type, typeCheckers);
+      return value => value === undefined ? value : type(value);
+    }
+    case 'union': {
+      const predicates = node.types.map(t => compileType(t, typeCheckers));
+      const types = node.types.map(t => coerceNode(t, typeCheckers));
+      return value => {
+        if (predicates.some(p => p(value))) return value;
+        for (let i = 0; i < types.length; i++) {
+          const coerced = types[i](value);
+          if (predicates[i](coerced)) return coerced;
+        }
+        return value;
+      }
+    }
+    case 'generic': {
+      const [key, item] = node.args.map(t => coerceNode(t, typeCheckers));
+      if (node.name === 'array') return value => Array.isArray(value) ? value.map(v => key(v)) : value;
+      if (node.name === 'set') return value => value instanceof Set ? new Set([...value].map(v => key(v))) : value;
+      if (node.name === 'map') return value => value instanceof Map ? new Map([...value].map(([k, v]) => [key(k), item(v)])) : value;
+      return value => value;
+    }
+  }
+}
+
+const coercers = new WeakMap();
+
+function coerceExpression(source, typeCheckers) {
+  let cache = coercers.get(typeCheckers);
+  if (!cache) coercers.set(typeCheckers, cache = new Map());
+  let coercer = cache.get(source);
+  if (!coercer) {
+    typeExpression(source, typeCheckers);
+    cache.set(source, coercer = coerceNode(parseType(source, typeCheckers), typeCheckers));
+  }
+  return coercer;
+}
+
+/*
+  Makes a coerce(type, value, { strip }) function that walks the same specs as is()
+  and returns a new value with strings converted where the spec asks for numbers,
+  booleans or dates, missing keys filled from $default, and with `strip` set,
+  keys not in the spec removed. The result is not validated here.
+*/
+// options.undot is set by $undot for the spec inside it
+export function makeCoercer({ typeCheckers, schemas = {}, is, undot, fail }) {
+  // named schemas are coerced like the spec they name, leaving cyclic values as they are
+  const visiting = {};
+  const coerceNamed = (name, value, options) => {
+    const active = visiting[name] ??= new Set();
+    if (typeof value !== 'object' || value === null) return coerce(schemas[name], value, options);
+    if (active.has(value)) return value;
+    active.add(value);
+    try {
+      return coerce(schemas[name], value, options);
+    } finally {
+      active.delete(value);
+    }
+  }
+  const operators = {
+    $all: (type, value, options) => type.reduce((v, t) => coerce(t, v, options), value),
+    $every: (type, value, options) => operators.$all(type, value, options),
+    $and: (type, value, options) => operators.$all(type, value, options),
+    $any: (type, value, options) => operators.$or(type, value, options),
+    $some: (type, value, options) => operators.$or(type, value, options),
+    $or: (type, value, options) => {
+      if (type.some(t => is(t, value))) return value;
+      for (const t of type) {
+        const coerced = coerce(t, value, options);
+        if (is(t, coerced)) return coerced;
+      }
+      return value;
+    },
+    $not: (type, value) => value,
+    $tuple: (type, value, options) => Array.isArray(value)
+      ? value.map((v, i) => i < type.length ? coerce(type[i], v, options) : v)
+      : value,
+    // coerced like the object spec inside, strictness is left to validation
+    $strict: (type, value, options) => coerce(unwrapShape(null, type).shape, value, options),
+    $exact: (type, value, options) => operators.$strict(type, value, options),
+    $partial: (type, value, options) => operators.$strict(type, value, options),
+    $record: (type, value, options) => {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return value;
+      const valueType = type.length === 1 ? type[0] : type[1];
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, coerce(valueType, v, options)]));
+    },
+    $union: ([{ key, cases }], value, options) => {
+      const tag = typeof value === 'object' && value !== null ? (options.undot ?? undot)(value)[key] : undefined;
+      return Object.hasOwn(cases, tag) ? coerce(unionCase(cases[tag], key), value, options) : value;
+    },
+    $map: ([key, item], value, options) => value instanceof Map
+      ? new Map([...value].map(([k, v]) => [coerce(key, k, options), coerce(item, v, options)]))
+      : value,
+    $set: ([item], value, options) => value instanceof Set ? new Set([...value].map(v => coerce(item, v, options))) : value,
+    $iterableOf: ([item], value, options) => Array.isArray(value) ? value.map(v => coerce(item, v, options)) : value,
+    $pick: (type, value, options) => coerce(deriveSpec('$pick', type), value, options),
+    $omit: (type, value, options) => coerce(deriveSpec('$omit', type), value, options),
+    $extend: (type, value, options) => coerce(deriveSpec('$extend', type), value, options),
+    $undot: ([mode, type], value, options) => coerce(type, value, { ...options, undot: undotWith(mode) }),
+  }
+  function coerce(type, value, options = {}) {
+    if (typeof type === 'string') {
+      if (Object.hasOwn(schemas, type)) return coerceNamed(type, value, options);
+      try {
+        return coerceExpression(type, typeCheckers)(value);
+      } catch (e) {
+        fail(e.message);
+      }
+    }
+    if (Array.isArray(type)) {
+      if (type.length === 1) return Array.isArray(value) ? value.map(v => coerce(type[0], v, options)) : value;
+      const [t, ...rest] = type;
+      return operators[t] ? operators[t](rest, value, options) : value;
+    }
+    if (type && typeof type === 'object') {
+      const keys = Object.keys(type);
+      if (keys.length === 1 && keys[0] in operators) {
+        const args = type[keys[0]];
+        return operators[keys[0]](Array.isArray(args) ? args : [args], value, options);
+      }
+      if (isDescriptor(type)) {
+        if (value === undefined && type.$default !== undefined) {
+          return typeof type.$default === 'function' ? type.$default() : type.$default;
+        }
+        if ('$enum' in type || '$literal' in type) {
+          const values = type.$enum ?? [type.$literal];
+          return coerceTo(v => values.includes(v), value);
+        }
+        return coerce(type.$type ?? 'any', value, options);
+      }
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) return value;
+      const v = (options.undot ?? undot)(value);
+      const out = options.strip ? {} : { ...v };
+      for (const k of keys) {
+        const coerced = coerce(type[k], v[k], options);
+        if (coerced !== undefined || k in v) out[k] = coerced;
+      }
+      return out;
+    }
+    return value;
+  }
+  return coerce;
+}
@@ -0,0 +1,141 @@
+/*
+  Constraints are checked on top of a descriptor's $type, and name themselves in messages:
+
+    { $type: 'integer', $min: 0, $max: 100 }
+    { $type: 'string', $pattern: /^[a-z]+$/ }
+    { $type: ['string'], $minItems: 1, $unique: true }
+    { $enum: ['red', 'green'] }
+
+  A descriptor without $type constrains any value. A constraint's test returns true, false,
+  or the [key, item] inside the value that fails it.
+*/
+
+// the number of entries in a collection, undefined for anything else; iterating consumes one-shot iterators
+export const sizeOf = value => {
+  if (typeof value !== 'object' || value === null) return undefined;
+  if (Array.isArray(value) || ArrayBuffer.isView(value) && !(value instanceof DataView)) return value.length;
+  if (value instanceof Set || value instanceof Map) return value.size;
+  if (typeof value[Symbol.iterator] === 'function') {
+    let size = 0;
+    for (const _ of value) size++;
+    return size;
+  }
+  return undefined;
+}
+
+// entries of a collection as [key, item], keyed by index for arrays and <index> for other iterables
+export function* entriesOf(value) {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    for (let i = 0; i < value.length; i++) yield [i, value[i]];
+    return;
+  }
+  let i = 0;
+  for (const item of value) yield [`<${i++}>`, item];
+}
+
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export const formats = {
+  email: v => /^[^\s@]+@[^\s@.]+(?:\.[^\s@.]+)+$/.test(v),
+  uuid: v => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+  // URL.canParse needs Node 18.17
+  url: v => {
+    try {
+      new URL(v);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  'iso-date': v => ISO_DATE.test(v) && !isNaN(Date.parse(v)),
+};
+
+const isNumber = v => typeof v === 'number' || typeof v === 'bigint';
+const lengthOf = v => typeof v === 'string' ? v.length : sizeOf(v);
+const items = n => `${n} item${n === 1 ? '' : 's'}`;
+// literal values as they are written in type expressions
+const literals = values => values.map(v => typeof v === 'string' ? `'${v}'` : String(v)).join('|');
+
+// true if v is a whole number of steps of n, within rounding, since 0.3 / 0.1 is 2.9999999999999996
+export const isMultipleOf = (v, n) => {
+  const steps = v / n;
+  return Number.isFinite(steps) && Math.abs(steps - Math.round(steps)) < 1e-9;
+}
+
+/*
+  Each constraint makes { test, describe }. describe(type) names the constraint in messages,
+  after the descriptor's $type when that is a type expression: "string matching /^a/".
+*/
+export const constraints = {
+  $min: n => ({
+    test: v => isNumber(v) && v >= n,
+    describe: (type = 'number') => `${type} >= ${n}`,
+  }),
+  $max: n => ({
+    test: v => isNumber(v) && v <= n,
+    describe: (type = 'number') => `${type} <= ${n}`,
+  }),
+  $multipleOf: n => ({
+    test: v => typeof v === 'number' && isMultipleOf(v, n) || typeof v === 'bigint' && v % BigInt(n) === 0n,
+    describe: (type = 'number') => `${type} multiple of ${n}`,
+  }),
+  // an exact length, or [min, max]
+  $length: length => {
+    const [min, max] = Array.isArray(length) ? length : [length, length];
+    return {
+      test: v => lengthOf(v) >= min && lengthOf(v) <= max,
+      describe: (type = 'value') => `${type} of length ${min === max ? min : `${min}..${max}`}`,
+    };
+  },
+  $pattern: pattern => {
+    // without g and y, test() does not carry lastIndex over between values
+    const re = typeof pattern === 'string' ? new RegExp(pattern, 'u') : new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+    return {
+      test: v => typeof v === 'string' && re.test(v),
+      describe: (type = 'string') => `${type} matching ${re}`,
+    };
+  },
+  $format: format => {
+    if (!formats[format]) throw new ReferenceError(`unknown format "${format}"`);
+    return {
+      test: v => typeof v === 'string' && formats[format](v),
+      describe: (type = 'string') => `${type} in ${format} format`,
+    };
+  },
+  $enum: values => ({
+    test: v => values.some(value => Object.is(value, v) || value === v),
+    describe: () => literals(values),
+  }),
+  $literal: value => constraints.$enum([value]),
+  $minItems: n => ({
+    test: v => sizeOf(v) >= n,
+    describe: (type = 'collection') => `${type} with at least ${items(n)}`,
+  }),
+  $maxItems: n => ({
+    test: v => sizeOf(v) <= n,
+    describe: (type = 'collection') => `${type} with at most ${items(n)}`,
+  }),
+  // a repeated entry fails on its own path
+  $unique: unique => ({
+    test: v => {
+      if (!unique) return true;
+      if (sizeOf(v) === undefined) return false;
+      if (v instanceof Set || v instanceof Map) return true;
+      const seen = new Set();
+      for (const [key, item] of entriesOf(v)) {
+        if (seen.has(item)) return [key, item];
+        seen.add(item);
+      }
+      return true;
+    },
+    describe: (type = 'collection') => `${type} with unique items`,
+    item: 'unique item',
+  }),
+};
+
+// keys a descriptor may have besides its constraints
+const descriptorKeys = ['$type', '$default', '$readonly'];
+
+export const isDescriptor = spec =>
+  !!spec && typeof spec === 'object' && !Array.isArray(spec)
+  && Object.keys(spec).some(k => descriptorKeys.includes(k) || k in constraints);
@@ -26,6 +26,7 @@ export const defaultTypeCheckers = {
   map: v => v instanceof Map,
   weakset: v => v instanceof WeakSet,
   weakmap: v => v instanceof WeakMap,
+  typedArray: v => ArrayBuffer.isView(v) && !(v instanceof DataView),
   iterable: v => typeof v === 'object' && v !== null && typeof v[Symbol.iterator] === 'function',
   numeric: v => !isNaN(parseFloat(v)) && isFinite(v),
   emptyString: v => typeof v === 'string' && v.length === 0,
@@ -1,45 +1,92 @@
+import { formatSpec } from "./formatSpec.js";
+import { formatPath } from "./paths.js";
+import { formatValue } from "./formatValue.js";
+
 export const formatMessage = ({ options, message = '' }) =>
   `${formatPrefix(options.prefix())}${message}`;
 
-export const formatExpected = ({ options, type, value, path = [] }) =>
-  `${formatPrefix(options.prefix(), path.join('.'))}expected ${type} but got ${formatValue(value)}`;
+// with the diff option, and the root value known, the message ends with formatDiff's lines.
+// values are shown with options.showValue(value, keys), and options.redactValue masks them in error fields;
+// keys are those from the root down to the value
+export const formatExpected = ({ options, type, value, path = [], root }) =>
+  `${formatPrefix(options.prefix(), formatPath(path, options.pathFormat))}expected ${formatSpec(type)} but got ${options.showValue(value, path.slice(1))}`
+  + (options.diff && root !== undefined && path.length > 1 ? '\n' + formatDiff(root, path.slice(1), type, (v, k, keys) => options.showValue(v, keys)) : '');
 
-export const throwMessage = ({ ...args }) => {
-  throw new Error(formatMessage({ ...args }));
+export class TypeCheckError extends TypeError {
+  constructor(message, { path, keys, expectedType, actualValue, prefix, causes = [] } = {}) {
+    super(message);
+    this.name = 'TypeCheckError';
+    this.path = path;
+    this.keys = keys;
+    this.expectedType = expectedType;
+    this.actualValue = actualValue;
+    this.prefix = prefix;
+    this.causes = causes;
+  }
 }
-export const warnMessage = ({ ...args }, ...msg) => {
-  console.warn(formatMessage({ ...args }), ...msg);
+
+// causes is a thunk, so that passing checks never pay for collecting them
+export const expectedError = ({ options, type, value, path = [], causes, root }) =>
+  new TypeCheckError(formatExpected({ options, type, value, path, root }), {
+    path: formatPath(path, options.pathFormat),
+    keys: path.slice(1),
+    expectedType: type,
+    actualValue: options.redactValue(value, path.slice(1)),
+    prefix: formatPrefix(options.prefix()).trim(),
+    causes: (causes?.() ?? []).map(cause => expectedError({ options, ...cause })),
+  });
+
+export const throwMessage = ({ ...args }) => {
+  throw new TypeCheckError(formatMessage({ ...args }), { prefix: formatPrefix(args.options.prefix()).trim() });
 }
 export const throwExpected = ({ ...args }) => {
-  const msg = formatExpected({ ...args });
-  throw new Error(msg);
-}
-export const warnExpected = ({ ...args }) => {
-  const msg = formatExpected({ ...args });
-  console.warn(msg);
+  throw expectedError({ ...args });
 }
 
-export const errorMessage = ({ ...args }) => {
-  console.error(formatMessage({ ...args }));
-}
-export const errorExpected = ({ ...args }) => {
-  const msg = formatExpected({ ...args });
-  console.error(msg);
-}
+const MAX_SIBLINGS = 10;
+
+const childrenOf = value =>
+  value instanceof Map ? [...value].map(([k, v], i) => [typeof k === 'string' || typeof k === 'number' ? String(k) : `<${i}>`, v])
+    : value instanceof Set ? [...value].map((v, i) => [`<${i}>`, v])
+      : Object.entries(value);
+
+/*
+  Renders the value along a failing path, diff-style, with the expected type on the - line
+  and the actual value on the + line:
 
-export const formatValue = v => {
-  const t = typeof v;
-  if (v === null) return '[null]';
-  if (t === 'undefined') return '[undefined]';
-  if (t === 'boolean' || t === 'bigint') return `[${t} ${v}]`;
-  if (t === 'number') return `[number ${Object.is(v, -0) ? '-0' : String(v)}]`;  // keep -0
-  if (t === 'string') return v.length <= 32 ? `[string "${v}"]`
-    : `[string "${v.slice(0, 29)}..." (${v.length})]`;
-  if (t === 'symbol') return `[symbol ${v.description ? '(' + v.description + ')' : ''}]`;
-  if (t === 'function') return `[function ${v.name || '<anonymous>'}]`;
-  if (Array.isArray(v)) return `[array (${v.length})]`;
-  const name = v.constructor?.name;
-  return `[object ${name && name !== 'Object' ? name : 'Object'}]`;
+      {
+        name: [string "ann"],
+        address: {
+    -     city: string
+    +     city: [number 1]
+        }
+      }
+*/
+export function formatDiff(root, keys, type, show = formatValue) {
+  const lines = [];
+  // show gets the key of each value, and the keys from the root down to it
+  const walk = (value, [key, ...rest], indent, label, at) => {
+    if (key === undefined || typeof value !== 'object' || value === null) {
+      lines.push(`-${indent}${label}${formatSpec(type)}`, `+${indent}${label}${show(value, at.at(-1), at)}`);
+      return;
+    }
+    const children = childrenOf(value);
+    const [open, close] = Array.isArray(value) ? '[]' : '{}';
+    lines.push(` ${indent}${label}${open}`);
+    let shown = 0;
+    let found = false;
+    for (const [k, v] of children) {
+      if (k === String(key)) {
+        found = true;
+        walk(v, rest, indent + '  ', `${k}: `, [...at, key]);
+      } else if (shown++ < MAX_SIBLINGS) lines.push(` ${indent}  ${k}: ${show(v, k, [...at, k])}`);
+    }
+    if (shown > MAX_SIBLINGS) lines.push(` ${indent}  ... ${shown - MAX_SIBLINGS} more`);
+    if (!found) walk(undefined, rest, indent + '  ', `${key}: `, [...at, key]);
+    lines.push(` ${indent}${close}`);
+  }
+  walk(root, keys, ' ', '', []);
+  return lines.join('\n');
 }
 
 export const formatPrefix = (...args) => args.flat(Infinity).filter(Boolean).map(a => a + ' ').join('');
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { operatorOf, deriveSpec } from "./shapes.js";
+import { constraints, isDescriptor } from "./constraints.js";
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const MAX_DEPTH = 4;
+
+// parenthesizes text that has any of `chars` outside brackets, before it is used as an operand
+function group(text, chars = ' |&') {
+  let depth = 0;
+  for (const c of text) {
+    if ('([{<'.includes(c)) depth++;
+    else if (')]}>'.includes(c)) depth--;
+    else if (depth === 0 && chars.includes(c)) return `(${text})`;
+  }
+  return text;
+}
+
+function render(spec, depth) {
+  if (typeof spec === 'string') return spec;
+  if (typeof spec === 'function') return spec.name || '<function>';
+  if (!spec || typeof spec !== 'object') return String(spec);
+  if (depth > MAX_DEPTH) return '...';
+  const inner = s => render(s, depth + 1);
+  if (Array.isArray(spec) && spec.length === 1) return `${group(inner(spec[0]))}[]`;
+  const [op, args] = operatorOf(spec);
+  if (op) return operator(op, args, inner);
+  if (Array.isArray(spec)) return `[${spec.map(inner).join(', ')}]`;
+  if (isDescriptor(spec)) return descriptor(spec, inner);
+  return shape(spec, inner);
+}
+
+function shape(spec, inner) {
+  const entries = Object.entries(spec).map(([k, s]) => `${IDENTIFIER.test(k) ? k : JSON.stringify(k)}: ${inner(s)}`);
+  return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+// the $type followed by its constraints: "integer >= 0, <= 100"
+function descriptor(spec, inner) {
+  const type = spec.$type === undefined ? undefined : inner(spec.$type);
+  const phrases = Object.keys(spec).filter(k => k in constraints).map((k, i) => {
+    try {
+      return constraints[k](spec[k]).describe(i === 0 ? type : '').trim();
+    } catch {
+      return k;
+    }
+  });
+  return phrases.length ? phrases.join(', ') : type ?? 'any';
+}
+
+function operator(op, args, inner) {
+  switch (op) {
+    case '$or': case '$any': case '$some':
+      return args.map(a => group(inner(a), ' &')).join('|');
+    case '$and': case '$all': case '$every':
+      return args.map(a => group(inner(a), ' |')).join(' & ');
+    case '$not':
+      return `not ${group(args.map(inner).join('|'))}`;
+    case '$tuple':
+      return `[${args.map(inner).join(', ')}]`;
+    case '$strict': case '$exact': case '$partial':
+      return `${op.slice(1)} ${inner(args[0])}`;
+    case '$record': {
+      const [key, value] = args.length === 1 ? ['string', args[0]] : args;
+      return `record<${inner(key)}, ${inner(value)}>`;
+    }
+    case '$map':
+      return `map<${inner(args[0])}, ${inner(args[1])}>`;
+    case '$set':
+      return `set<${inner(args[0])}>`;
+    case '$iterableOf':
+      return `iterable<${inner(args[0])}>`;
+    case '$union': {
+      const [{ key, cases }] = args;
+      return Object.entries(cases).map(([tag, spec]) => {
+        const tagged = { [key]: `'${tag}'` };
+        return operatorOf(spec)[0] || isDescriptor(spec) || typeof spec !== 'object' || Array.isArray(spec)
+          ? `${inner(tagged)} & ${group(inner(spec))}`
+          : inner({ ...tagged, ...spec });
+      }).join('|');
+    }
+    case '$undot':
+      return inner(args[1]);
+    case '$pick': case '$omit': case '$extend':
+      try {
+        return inner(deriveSpec(op, args));
+      } catch {
+        // fall through to the generic form
+      }
+  }
+  return `${op}(${args.map(inner).join(', ')})`;
+}
+
+/*
+  Renders a spec compactly for messages, e.g. { name: string, tags: string[] }, [string, number]
+  or not (null|undefined). Functions are shown by name, and long renderings are cut at maxLength.
+*/
+export function formatSpec(spec, { maxLength = 120 } = {}) {
+  const text = render(spec, 0);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
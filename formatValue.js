@@ -0,0 +1,97 @@
+export const REDACTED = '[redacted]';
+
+// a one-token summary of a value: [number 1], [string "a"], [array (3)], [object User]
+export const formatValue = v => {
+  const t = typeof v;
+  if (v === null) return '[null]';
+  if (t === 'undefined') return '[undefined]';
+  if (t === 'boolean' || t === 'bigint') return `[${t} ${v}]`;
+  if (t === 'number') return `[number ${Object.is(v, -0) ? '-0' : String(v)}]`;  // keep -0
+  if (t === 'string') return v.length <= 32 ? `[string "${v}"]`
+    : `[string "${v.slice(0, 29)}..." (${v.length})]`;
+  if (t === 'symbol') return `[symbol ${v.description ? '(' + v.description + ')' : ''}]`;
+  if (t === 'function') return `[function ${v.name || '<anonymous>'}]`;
+  if (Array.isArray(v)) return `[array (${v.length})]`;
+  const name = v.constructor?.name;
+  return `[object ${name && name !== 'Object' ? name : 'Object'}]`;
+}
+
+/*
+  Makes key => boolean from redaction rules: key names, regular expressions, or a predicate.
+  Only string keys are redacted, never array indices.
+*/
+export function redactionOf(rules) {
+  if (!rules) return () => false;
+  if (typeof rules === 'function') return key => typeof key === 'string' && !!rules(key);
+  const list = [rules].flat();
+  return key => typeof key === 'string' && list.some(rule => rule instanceof RegExp ? rule.test(key) : rule === key);
+}
+
+// entries as [key, item], with undefined keys for sets
+const entriesOf = value =>
+  value instanceof Map ? [...value] : value instanceof Set ? [...value].map(v => [undefined, v]) : Object.entries(value);
+
+function hasRedacted(value, isRedacted, seen = new Set()) {
+  if (typeof value !== 'object' || value === null || seen.has(value)) return false;
+  seen.add(value);
+  return entriesOf(value).some(([k, v]) => isRedacted(k) || hasRedacted(v, isRedacted, seen));
+}
+
+// a copy of value with redacted entries masked, for error fields and reporter entries; only the objects on the way to them are copied
+export function redactValue(value, isRedacted, key) {
+  if (isRedacted(key)) return REDACTED;
+  const copies = new Map();
+  const copy = value => {
+    if (!hasRedacted(value, isRedacted)) return value;
+    if (copies.has(value)) return copies.get(value);
+    const out = value instanceof Map ? new Map()
+      : value instanceof Set ? new Set()
+        : Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+    copies.set(value, out);
+    for (const [k, v] of entriesOf(value)) {
+      const item = isRedacted(k) ? REDACTED : copy(v);
+      if (out instanceof Map) out.set(k, item);
+      else if (out instanceof Set) out.add(item);
+      else out[k] = item;
+    }
+    return out;
+  }
+  return copy(value);
+}
+
+/*
+  Makes a formatter that previews objects, arrays, Maps and Sets down to `depth` levels, with at most
+  `width` entries each, and redacted entries masked:
+
+    depth 0   [object User]
+    depth 1   User { name: [string "ann"], password: [redacted], tags: [array (2)] }
+    depth 2   User { name: [string "ann"], password: [redacted], tags: [[string "a"], [string "b"]] }
+
+  Objects met again inside themselves are shown as [circular].
+*/
+export function createValueFormatter({ depth = 0, width = 5, redact } = {}) {
+  const isRedacted = redactionOf(redact);
+  const preview = (value, level, seen) => {
+    if (typeof value !== 'object' || value === null || level >= depth) return formatValue(value);
+    if (seen.has(value)) return '[circular]';
+    const entries = entriesOf(value);
+    const collection = Array.isArray(value) || value instanceof Map || value instanceof Set;
+    // dates, regular expressions and the like have nothing to preview
+    if (!collection && entries.length === 0 && value.constructor && value.constructor !== Object) return formatValue(value);
+    seen.add(value);
+    const shown = entries.slice(0, width).map(([k, v]) => {
+      const item = isRedacted(k) ? REDACTED : preview(v, level + 1, seen);
+      if (value instanceof Map) return `${formatValue(k)} => ${item}`;
+      if (value instanceof Set || Array.isArray(value)) return item;
+      return `${k}: ${item}`;
+    });
+    seen.delete(value);
+    if (entries.length > width) shown.push(`... ${entries.length - width} more`);
+    if (Array.isArray(value)) return `[${shown.join(', ')}]`;
+    const name = value instanceof Map ? `Map(${value.size}) `
+      : value instanceof Set ? `Set(${value.size}) `
+        : value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : '';
+    return `${name}${shown.length ? `{ ${shown.join(', ')} }` : '{}'}`;
+  }
+  return (value, key) => isRedacted(key) ? REDACTED : preview(value, 0, new Set());
+}
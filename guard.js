@@ -0,0 +1,118 @@
+import { operatorOf, unwrapShape, deriveSpec, shapeOperators, derivedOperators } from "./shapes.js";
+import { isDescriptor } from "./constraints.js";
+
+const isObject = v => typeof v === 'object' && v !== null;
+
+// dates, maps, sets, class instances and the like keep their internal slots and private fields
+// off the proxy, so their methods would throw on it; they are checked but not guarded
+const isGuardable = v => isObject(v) && (Array.isArray(v) || [Object.prototype, null].includes(Object.getPrototypeOf(v)));
+
+const copyOf = target => Array.isArray(target)
+  ? target.slice()
+  : Object.assign(Object.create(Object.getPrototypeOf(target)), target);
+
+/*
+  Makes guard(type, value, desc), which checks value with `check` and returns a Proxy that checks
+  every later set and delete, on the value and, lazily, on the objects inside it. A change is tried
+  on a copy of the object it changes and the copy is checked against that object's spec, so rules
+  over the whole object ($strict, $tuple, $minItems...) hold after push, splice and delete too.
+  Arrays of [T] and $record objects have no such rules, and only the entry that changes is checked.
+  Nested objects are guarded when their spec can be found from their parent's spec. Only plain
+  objects and arrays are guarded.
+*/
+export function makeGuard({ schemas = {}, is, check }) {
+  // the spec of the entry at `key` of a container that is checked against `type`
+  function childSpec(type, container, key) {
+    if (typeof type === 'string') return Object.hasOwn(schemas, type) ? childSpec(schemas[type], container, key) : undefined;
+    if (Array.isArray(type) && type.length === 1) return type[0];
+    const [op, args] = operatorOf(type);
+    if (shapeOperators.includes(op)) return childSpec(unwrapShape(op, args).shape, container, key);
+    if (derivedOperators.includes(op)) return childSpec(deriveSpec(op, args), container, key);
+    switch (op) {
+      case null:
+        break;
+      case '$tuple':
+        return args[key];
+      case '$record':
+        return args.at(-1);
+      case '$undot':
+        return childSpec(args[1], container, key);
+      case '$or': case '$any': case '$some': {
+        // the branch the container matches now
+        const branch = args.find(t => is(t, container));
+        return branch === undefined ? undefined : childSpec(branch, container, key);
+      }
+      case '$and': case '$all': case '$every':
+        return args.map(t => childSpec(t, container, key)).find(spec => spec !== undefined);
+      case '$union': {
+        const [{ key: tag, cases }] = args;
+        const spec = cases[container[tag]];
+        return spec === undefined ? undefined : childSpec(spec, container, key);
+      }
+      default:
+        return undefined;
+    }
+    if (isDescriptor(type)) return type.$type === undefined ? undefined : childSpec(type.$type, container, key);
+    if (isObject(type) && Object.hasOwn(type, key)) return type[key];
+    return undefined;
+  }
+
+  // { item, key } for specs that check each entry on its own, with no rule over the whole object
+  function entrySpecs(type) {
+    if (typeof type === 'string') return Object.hasOwn(schemas, type) ? entrySpecs(schemas[type]) : undefined;
+    if (Array.isArray(type) && type.length === 1) return { item: type[0] };
+    const [op, args] = operatorOf(type);
+    if (op === '$record') return args.length === 1 ? { key: 'string', item: args[0] } : { key: args[0], item: args[1] };
+    return undefined;
+  }
+
+  function guarded(type, value, path) {
+    // the guards of nested objects, kept while the same object is found at the same key
+    const children = new Map();
+    const entries = entrySpecs(type);
+    // in check mode, a change that fails is reported and made anyway
+    const change = (target, apply) => {
+      const copy = copyOf(target);
+      apply(copy);
+      check(type, copy, path);
+      return apply(target);
+    }
+    /*
+      for [T] and $record specs only the entry that is set is checked, as the whole object would
+      be: array holes, lengths and other keys of arrays, and deletes, are never checked
+    */
+    const set = (target, key, item) => {
+      // push sets the length it has already reached
+      if (Array.isArray(target) && key === 'length' && item === target.length) return Reflect.set(target, key, item);
+      if (!entries) return change(target, t => Reflect.set(t, key, item));
+      if (Array.isArray(target)) {
+        if (/^\d+$/.test(key)) check(entries.item, item, [...path, Number(key)]);
+      } else if (typeof key === 'string') {
+        const at = [...path, key];
+        if (check(entries.key, key, at) !== false) check(entries.item, item, at);
+      }
+      return Reflect.set(target, key, item);
+    }
+    return new Proxy(value, {
+      get(target, key, receiver) {
+        const item = Reflect.get(target, key, receiver);
+        if (!isGuardable(item) || typeof key === 'symbol') return item;
+        const spec = childSpec(type, target, key);
+        if (spec === undefined) return item;
+        const known = children.get(key);
+        if (known?.item === item) return known.proxy;
+        const proxy = guarded(spec, item, [...path, Array.isArray(target) && /^\d+$/.test(key) ? Number(key) : key]);
+        children.set(key, { item, proxy });
+        return proxy;
+      },
+      set,
+      deleteProperty: (target, key) => entries ? Reflect.deleteProperty(target, key) : change(target, t => Reflect.deleteProperty(t, key)),
+    });
+  }
+
+  // paths are passed to check as arrays, see paths.js
+  return (type, value, desc = '') => {
+    check(type, value, desc);
+    return isGuardable(value) ? guarded(type, value, Array.isArray(desc) ? desc : [desc]) : value;
+  }
+}
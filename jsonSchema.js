@@ -0,0 +1,356 @@
+import { parseType, isOptionalSpec } from "./parseType.js";
+import { deriveSpec, unwrapShape } from "./shapes.js";
+import { isDescriptor, isMultipleOf, ISO_DATE } from "./constraints.js";
+
+const DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+const unsupportedByDefault = (what, path) => {
+  throw new TypeError(`cannot represent ${what}${path ? ' at ' + path : ''}`);
+}
+
+// built-in checkers that have a JSON Schema equivalent
+const builtins = {
+  any: {},
+  object: { type: 'object' },
+  plainObject: { type: 'object' },
+  string: { type: 'string' },
+  number: { type: 'number' },
+  positive: { type: 'number', exclusiveMinimum: 0 },
+  negative: { type: 'number', exclusiveMaximum: 0 },
+  integer: { type: 'integer' },
+  positiveInteger: { type: 'integer', minimum: 1 },
+  negativeInteger: { type: 'integer', maximum: -1 },
+  boolean: { type: 'boolean' },
+  array: { type: 'array' },
+  null: { type: 'null' },
+  none: { type: 'null' },
+  date: { type: 'string', format: 'date-time' },
+  numeric: { anyOf: [{ type: 'number' }, { type: 'string', pattern: '^\\s*[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?\\s*$' }] },
+  emptyString: { type: 'string', maxLength: 0 },
+  notEmptyString: { type: 'string', minLength: 1 },
+  emptyArray: { type: 'array', maxItems: 0 },
+  notEmptyArray: { type: 'array', minItems: 1 },
+  primitive: { type: ['null', 'boolean', 'number', 'string'] },
+};
+
+const rangeKeywords = {
+  string: ['minLength', 'maxLength'],
+  array: ['minItems', 'maxItems'],
+  number: ['minimum', 'maximum'],
+  integer: ['minimum', 'maximum'],
+};
+
+const formatKeywords = {
+  email: { format: 'email' },
+  uuid: { format: 'uuid' },
+  url: { format: 'uri' },
+  'iso-date': { pattern: ISO_DATE.source },
+};
+
+// keywords for descriptor constraints, null when a constraint cannot be represented
+const constraintKeywords = {
+  $min: n => ({ minimum: n }),
+  $max: n => ({ maximum: n }),
+  $multipleOf: n => ({ multipleOf: n }),
+  $length: (length, schema) => {
+    const [min, max] = Array.isArray(length) ? length : [length, length];
+    return schema.type === 'array' ? { minItems: min, maxItems: max } : { minLength: min, maxLength: max };
+  },
+  $pattern: pattern =>
+    typeof pattern === 'string' ? { pattern }
+      : pattern.flags.replace(/[gyu]/g, '') === '' ? { pattern: pattern.source }
+        : null,
+  $format: format => formatKeywords[format] ?? null,
+  $enum: values => ({ enum: values }),
+  $literal: value => ({ const: value }),
+  $minItems: n => ({ minItems: n }),
+  $maxItems: n => ({ maxItems: n }),
+  $unique: unique => ({ uniqueItems: !!unique }),
+};
+
+/*
+  Converts a spec to a draft 2020-12 JSON Schema. Constructs without an equivalent
+  (functions, custom checker names, sets, maps...) are passed to onUnsupported(what, path),
+  which throws by default; if it returns, the construct is converted to {}.
+  Names of `schemas` become $refs to their conversions in $defs.
+*/
+export function toJSONSchema(spec, { onUnsupported = unsupportedByDefault, schemas = {} } = {}) {
+  const defs = {};
+  const unsupported = (what, path) => {
+    onUnsupported(what, path.join('.'));
+    return {};
+  }
+  const anyOf = schemas => {
+    if (schemas.every(s => 'const' in s && Object.keys(s).length === 1)) return { enum: schemas.map(s => s.const) };
+    return schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+  }
+
+  function fromNode(node, path) {
+    switch (node.kind) {
+      case 'name':
+        if (Object.hasOwn(schemas, node.name)) return reference(node.name);
+        if (node.name in builtins) return { ...builtins[node.name] };
+        return unsupported(`type "${node.name}"`, path);
+      case 'literal':
+        return { const: node.value };
+      case 'optional':
+        return fromNode(node.type, path);
+      case 'union': {
+        const types = node.types.filter(t => !(t.kind === 'name' && t.name === 'undefined'));
+        return anyOf(types.map(t => fromNode(t, path)));
+      }
+      case 'generic':
+        if (node.name === 'array') return { type: 'array', items: fromNode(node.args[0], path) };
+        return unsupported(`type "${node.name}<>"`, path);
+      case 'range': {
+        const schema = fromNode(node.type, path);
+        const keywords = rangeKeywords[[schema.type].flat()[0]];
+        if (!keywords) return unsupported('range on ' + node.type.name, path);
+        const [min, max] = keywords;
+        if (node.min !== undefined) schema[min] = Math.max(node.min, schema[min] ?? -Infinity);
+        if (node.max !== undefined) schema[max] = Math.min(node.max, schema[max] ?? Infinity);
+        return schema;
+      }
+    }
+  }
+
+  const operators = {
+    $and: (types, path) => ({ allOf: types.map(t => convert(t, path)) }),
+    $or: (types, path) => anyOf(types.filter(t => t !== 'undefined').map(t => convert(t, path))),
+    $not: (types, path) => ({ not: types.length === 1 ? convert(types[0], path) : anyOf(types.map(t => convert(t, path))) }),
+    $tuple: (types, path) => ({
+      type: 'array',
+      prefixItems: types.map((t, i) => convert(t, [...path, i])),
+      minItems: types.length,
+    }),
+    $strict: (types, path, op = '$strict') => {
+      const { shape, wrappers } = unwrapShape(op, types);
+      const schema = convert(shape, path);
+      if (wrappers.includes('$partial')) schema.required = [];
+      if (wrappers.includes('$strict') || wrappers.includes('$exact')) schema.additionalProperties = false;
+      return schema;
+    },
+    $record: (types, path) => {
+      const [key, value] = types.length === 1 ? ['string', types[0]] : types;
+      const schema = { type: 'object', additionalProperties: convert(value, [...path, '*']) };
+      if (key !== 'string') schema.propertyNames = convert(key, path);
+      return schema;
+    },
+    // each case requires its tag, in the case's own object schema when it has one
+    $union: ([{ key, cases }], path) => ({
+      oneOf: Object.entries(cases).map(([tag, spec]) => {
+        const schema = convert(spec, path);
+        if (schema.type !== 'object' || !schema.properties) {
+          return { allOf: [{ type: 'object', properties: { [key]: { const: tag } }, required: [key] }, schema] };
+        }
+        schema.properties = { [key]: { const: tag }, ...schema.properties };
+        schema.required = [...new Set([key, ...schema.required])];
+        return schema;
+      }),
+    }),
+    $pick: (types, path) => convert(deriveSpec('$pick', types), path),
+    $omit: (types, path) => convert(deriveSpec('$omit', types), path),
+    $extend: (types, path) => convert(deriveSpec('$extend', types), path),
+    $undot: ([, type], path) => convert(type, path),
+  };
+  operators.$exact = (types, path) => operators.$strict(types, path, '$exact');
+  operators.$partial = (types, path) => operators.$strict(types, path, '$partial');
+  operators.$all = operators.$every = operators.$and;
+  operators.$any = operators.$some = operators.$or;
+
+  function convert(spec, path) {
+    if (typeof spec === 'string') {
+      const node = parseType(spec, schemas);
+      if (node.kind === 'name' && node.name === 'undefined') return unsupported('type "undefined"', path);
+      return fromNode(node, path);
+    }
+    if (Array.isArray(spec)) {
+      if (spec.length === 1) return { type: 'array', items: convert(spec[0], path) };
+      const [op, ...types] = spec;
+      if (!operators[op]) return unsupported(`operator ${op}`, path);
+      return operators[op](types, path);
+    }
+    if (spec && typeof spec === 'object') {
+      const keys = Object.keys(spec);
+      if (keys.length === 1 && keys[0] in operators) {
+        const args = spec[keys[0]];
+        return operators[keys[0]](Array.isArray(args) ? args : [args], path);
+      }
+      if (isDescriptor(spec)) {
+        const schema = convert(spec.$type ?? 'any', path);
+        if (spec.$default !== undefined && typeof spec.$default !== 'function') schema.default = spec.$default;
+        for (const [k, keywords] of Object.entries(constraintKeywords)) {
+          if (!(k in spec)) continue;
+          const constraint = keywords(spec[k], schema);
+          if (constraint) Object.assign(schema, constraint);
+          else unsupported(`constraint ${k}: ${spec[k]}`, path);
+        }
+        return schema;
+      }
+      if (keys.length === 1 && keys[0].startsWith('$')) return unsupported(`operator ${keys[0]}`, path);
+      return {
+        type: 'object',
+        properties: Object.fromEntries(keys.map(k => [k, convert(spec[k], [...path, k])])),
+        required: keys.filter(k => !isOptionalSpec(spec[k])),
+      };
+    }
+    return unsupported(typeof spec === 'function' ? `function ${spec.name || '<anonymous>'}` : `spec ${String(spec)}`, path);
+  }
+
+  // each named schema is converted once, so that it can refer to itself
+  function reference(name) {
+    if (!(name in defs)) {
+      defs[name] = {};
+      defs[name] = convert(schemas[name], [name]);
+    }
+    return { $ref: `#/$defs/${name}` };
+  }
+
+  const schema = { $schema: DRAFT, ...convert(spec, []) };
+  if (Object.keys(defs).length) schema.$defs = defs;
+  return schema;
+}
+
+const named = (name, fn) => Object.defineProperty(fn, 'name', { value: name });
+
+const literal = value =>
+  typeof value === 'string' && /^[^'\\]*$/.test(value) ? `'${value}'`
+    : typeof value === 'number' || typeof value === 'boolean' ? String(value)
+      : value === null ? 'null'
+        : named(`const(${JSON.stringify(value)})`, v => JSON.stringify(v) === JSON.stringify(value));
+
+// keywords that only describe a schema
+const annotations = ['$schema', '$id', '$comment', 'title', 'description', 'examples', 'default', 'deprecated', 'readOnly', 'writeOnly', 'format', 'contentMediaType', 'contentEncoding'];
+
+const formats = {
+  'date-time': v => typeof v !== 'string' || !isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+  date: v => typeof v !== 'string' || /^\d{4}-\d{2}-\d{2}$/.test(v),
+};
+
+const optionalKey = spec =>
+  typeof spec === 'string' ? `${spec.includes('|') ? `(${spec})` : spec}?`
+    : ['$or', 'undefined', spec];
+
+/*
+  Converts a JSON Schema document to a spec usable with is() and assert.is().
+  Keywords without an equivalent ($ref, patternProperties, if/then/else...) are passed to
+  onUnsupported(what, pointer), which throws by default; if it returns, they are ignored.
+  oneOf is treated as anyOf.
+*/
+export function fromJSONSchema(schema, { onUnsupported = unsupportedByDefault } = {}) {
+  function convert(schema, pointer) {
+    if (schema === true) return 'any';
+    if (schema === false) return ['$not', 'any'];
+    const parts = [];
+    const keyword = (name, fn) => named(`${name}(${JSON.stringify(schema[name])})`, fn);
+    // container keywords only apply to values of their type, unless the schema restricts the type anyway
+    const only = (type, is, spec) => schema.type === type ? spec : ['$or', named(`not ${type}`, v => !is(v)), spec];
+    const isObject = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+    for (const [key, value] of Object.entries(schema)) {
+      const at = `${pointer}/${key}`;
+      switch (key) {
+        case 'type':
+          parts.push([value].flat().join('|'));
+          break;
+        case 'const':
+          parts.push(literal(value));
+          break;
+        case 'enum':
+          parts.push(value.length === 1 ? literal(value[0]) : ['$or', ...value.map(literal)]);
+          break;
+        case 'minimum':
+          parts.push(keyword(key, v => typeof v !== 'number' || v >= value));
+          break;
+        case 'maximum':
+          parts.push(keyword(key, v => typeof v !== 'number' || v <= value));
+          break;
+        case 'exclusiveMinimum':
+          parts.push(keyword(key, v => typeof v !== 'number' || v > value));
+          break;
+        case 'exclusiveMaximum':
+          parts.push(keyword(key, v => typeof v !== 'number' || v < value));
+          break;
+        case 'multipleOf':
+          parts.push(keyword(key, v => typeof v !== 'number' || isMultipleOf(v, value)));
+          break;
+        case 'minLength':
+          parts.push(keyword(key, v => typeof v !== 'string' || [...v].length >= value));
+          break;
+        case 'maxLength':
+          parts.push(keyword(key, v => typeof v !== 'string' || [...v].length <= value));
+          break;
+        case 'pattern': {
+          const re = new RegExp(value, 'u');
+          parts.push(keyword(key, v => typeof v !== 'string' || re.test(v)));
+          break;
+        }
+        case 'minItems':
+          parts.push(keyword(key, v => !Array.isArray(v) || v.length >= value));
+          break;
+        case 'maxItems':
+          parts.push(keyword(key, v => !Array.isArray(v) || v.length <= value));
+          break;
+        case 'uniqueItems':
+          if (value) parts.push(keyword(key, v => !Array.isArray(v) || new Set(v.map(x => JSON.stringify(x))).size === v.length));
+          break;
+        case 'items':
+          if (schema.prefixItems) {
+            if (value !== false) onUnsupported('items after prefixItems', at);
+            break;
+          }
+          parts.push(only('array', Array.isArray, [convert(value, at)]));
+          break;
+        case 'prefixItems':
+          parts.push(only('array', Array.isArray, ['$tuple', ...value.map((s, i) => optionalKey(convert(s, `${at}/${i}`)))]));
+          break;
+        case 'properties': {
+          const required = schema.required ?? [];
+          const spec = Object.fromEntries(Object.entries(value).map(([k, s]) => {
+            const type = convert(s, `${at}/${k}`);
+            const withDefault = s?.default !== undefined ? { $type: type, $default: s.default } : type;
+            return [k, required.includes(k) ? withDefault : optionalKey(withDefault)];
+          }));
+          parts.push(only('object', isObject, schema.additionalProperties === false ? ['$strict', spec] : spec));
+          break;
+        }
+        case 'additionalProperties': {
+          if (schema.properties) {
+            // false is handled with properties
+            if (value !== false) onUnsupported('additionalProperties with properties', at);
+            break;
+          }
+          const key = schema.propertyNames ? convert(schema.propertyNames, `${pointer}/propertyNames`) : 'string';
+          parts.push(only('object', isObject, value === false ? ['$strict', {}] : ['$record', key, convert(value, at)]));
+          break;
+        }
+        case 'propertyNames':
+          // handled with additionalProperties
+          if (schema.additionalProperties !== undefined && !schema.properties) break;
+          parts.push(only('object', isObject, ['$record', convert(value, at), 'any']));
+          break;
+        case 'required': {
+          // keys listed in properties are already required there
+          const missing = value.filter(k => !(k in (schema.properties ?? {})));
+          if (missing.length) parts.push(keyword(key, v => !isObject(v) || missing.every(k => k in v)));
+          break;
+        }
+        case 'anyOf':
+        case 'oneOf':
+          parts.push(['$or', ...value.map((s, i) => convert(s, `${at}/${i}`))]);
+          break;
+        case 'allOf':
+          parts.push(['$and', ...value.map((s, i) => convert(s, `${at}/${i}`))]);
+          break;
+        case 'not':
+          parts.push(['$not', convert(value, at)]);
+          break;
+        default:
+          if (key === 'format' && formats[value]) parts.push(keyword(key, formats[value]));
+          else if (!annotations.includes(key)) onUnsupported(`keyword ${key}`, at);
+      }
+    }
+    return parts.length === 0 ? 'any' : parts.length === 1 ? parts[0] : ['$and', ...parts];
+  }
+
+  return convert(schema, '#');
+}
@@ -0,0 +1,196 @@
+/*
+  Type expressions used in string specs:
+
+    string|number         union
+    'a'|"b"|42|true       literals
+    string?               optional (undefined or string)
+    number[]              array of numbers
+    array<string>         array, set, iterable of a type
+    map<string, number>   map with key and value types
+    integer(0..100)       range, by value for numbers and by length/size for strings and containers
+*/
+
+const TOKEN = /\s*(?:(\.\.)|([A-Za-z_$][\w$]*)|(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\[\])|([|?<>,()]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const at = TOKEN.lastIndex;
+    if (/^\s*$/.test(source.slice(at))) break;
+    const m = TOKEN.exec(source);
+    if (!m) throw new SyntaxError(`invalid type "${source}": unexpected "${source.slice(at).trim()[0]}" at ${at}`);
+    const [, range, name, number, string, brackets, punct] = m;
+    if (range) tokens.push({ kind: 'punct', value: '..' });
+    else if (name) tokens.push({ kind: 'name', value: name });
+    else if (number) tokens.push({ kind: 'literal', value: Number(number) });
+    else if (string) tokens.push({ kind: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (brackets) tokens.push({ kind: 'punct', value: '[]' });
+    else tokens.push({ kind: 'punct', value: punct });
+  }
+  return tokens;
+}
+
+// an exact key of `names`, such as a checker named 'non-empty' or 'user.id', is a name as it is
+export function parseType(source, names = {}) {
+  if (Object.hasOwn(names, source)) return { kind: 'name', name: source };
+  const tokens = tokenize(source);
+  let pos = 0;
+  const fail = message => { throw new SyntaxError(`invalid type "${source}": ${message}`); };
+  const peek = value => tokens[pos]?.kind === 'punct' && tokens[pos].value === value;
+  const expect = value => peek(value) ? tokens[pos++] : fail(`expected "${value}"`);
+
+  function union() {
+    const types = [postfix()];
+    while (peek('|')) pos++, types.push(postfix());
+    return types.length === 1 ? types[0] : { kind: 'union', types };
+  }
+  function postfix() {
+    let type = primary();
+    for (; ;) {
+      if (peek('[]')) pos++, type = { kind: 'generic', name: 'array', args: [type] };
+      else if (peek('?')) pos++, type = { kind: 'optional', type };
+      else return type;
+    }
+  }
+  function bound() {
+    const token = tokens[pos];
+    if (token?.kind !== 'literal' || typeof token.value !== 'number') return undefined;
+    pos++;
+    return token.value;
+  }
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) fail('unexpected end');
+    if (token.kind === 'literal') return { kind: 'literal', value: token.value };
+    if (token.kind === 'punct' && token.value === '(') {
+      const type = union();
+      expect(')');
+      return type;
+    }
+    if (token.kind !== 'name') fail(`unexpected "${token.value}"`);
+    if (token.value === 'true' || token.value === 'false') return { kind: 'literal', value: token.value === 'true' };
+    let type = { kind: 'name', name: token.value };
+    if (peek('<')) {
+      pos++;
+      const args = [union()];
+      while (peek(',')) pos++, args.push(union());
+      expect('>');
+      type = { kind: 'generic', name: token.value, args };
+    }
+    if (peek('(')) {
+      pos++;
+      const min = bound();
+      expect('..');
+      const max = bound();
+      expect(')');
+      type = { kind: 'range', type, min, max };
+    }
+    return type;
+  }
+
+  const type = union();
+  if (pos < tokens.length) fail(`unexpected "${tokens[pos].value}"`);
+  return type;
+}
+
+const isThenable = value => typeof value?.then === 'function';
+
+// calls fn on each item until one gives `stop`. checkers that return promises make the result a
+// promise, which is.async() waits for and other checks reject as asynchronous
+const until = (stop, iterable, fn) => {
+  const pending = [];
+  for (const item of iterable) {
+    const ok = fn(item);
+    if (isThenable(ok)) pending.push(ok);
+    else if (Boolean(ok) === stop) return pending.length ? Promise.allSettled(pending).then(() => stop) : stop;
+  }
+  if (!pending.length) return !stop;
+  return Promise.all(pending).then(results => results.some(ok => Boolean(ok) === stop) === stop);
+}
+const every = (iterable, fn) => until(false, iterable, fn);
+const some = (iterable, fn) => until(true, iterable, fn);
+const and = (ok, f) => isThenable(ok) ? Promise.resolve(ok).then(result => result && f()) : ok && f();
+
+const generics = {
+  array: (value, [item]) => Array.isArray(value) && every(value, item),
+  set: (value, [item]) => value instanceof Set && every(value, item),
+  iterable: (value, [item]) => value !== null && typeof value?.[Symbol.iterator] === 'function' && every(value, item),
+  map: (value, [key, item]) => value instanceof Map && every(value, ([k, v]) => and(key(k), () => item(v))),
+};
+
+const measure = value =>
+  typeof value === 'string' || Array.isArray(value) ? value.length
+    : value instanceof Set || value instanceof Map ? value.size
+      : Number(value);
+
+export function compileType(node, typeCheckers) {
+  switch (node.kind) {
+    case 'name': {
+      const checker = typeCheckers[node.name];
+      if (typeof checker !== 'function') throw new ReferenceError(`unknown type "${node.name}"`);
+      return checker;
+    }
+    case 'literal':
+      return value => value === node.value;
+    case 'union': {
+      const types = node.types.map(t => compileType(t, typeCheckers));
+      return value => some(types, t => t(value));
+    }
+    case 'optional': {
+      const type = compileType(node.type, typeCheckers);
+      return value => value === undefined || type(value);
+    }
+    case 'generic': {
+      const generic = generics[node.name];
+      if (!generic) throw new ReferenceError(`type "${node.name}" does not take parameters`);
+      const args = node.args.map(t => compileType(t, typeCheckers));
+      if (node.name === 'map' ? args.length !== 2 : args.length !== 1) throw new ReferenceError(`wrong number of parameters for "${node.name}"`);
+      return value => generic(value, args);
+    }
+    case 'range': {
+      const { min = -Infinity, max = Infinity } = node;
+      const type = compileType(node.type, typeCheckers);
+      return value => and(type(value), () => measure(value) >= min && measure(value) <= max);
+    }
+  }
+}
+
+// names that accept undefined, and so make an object key optional
+const optionalNames = ['undefined', 'none', 'any'];
+
+// true if a spec lets an object key be missing. a $default does not: coerce() fills the key in,
+// and checks still require it
+export function isOptionalSpec(spec) {
+  if (spec && typeof spec === 'object' && !Array.isArray(spec) && '$type' in spec) return isOptionalSpec(spec.$type);
+  if (Array.isArray(spec)) return ['$or', '$any', '$some'].includes(spec[0]) && spec.slice(1).some(isOptionalSpec);
+  if (typeof spec !== 'string') return false;
+  const accepts = node =>
+    node.kind === 'optional'
+    || node.kind === 'name' && optionalNames.includes(node.name)
+    || node.kind === 'union' && node.types.some(accepts);
+  try {
+    return accepts(parseType(spec));
+  } catch {
+    return false;
+  }
+}
+
+const compiled = new WeakMap();
+
+// compiles a type expression to a predicate, once per expression and checker map
+export function typeExpression(source, typeCheckers) {
+  let cache = compiled.get(typeCheckers);
+  if (!cache) compiled.set(typeCheckers, cache = new Map());
+  let predicate = cache.get(source);
+  if (!predicate) {
+    const node = parseType(source, typeCheckers);
+    try {
+      predicate = compileType(node, typeCheckers);
+    } catch (e) {
+      throw new ReferenceError(`invalid type "${source}": ${e.message}`);
+    }
+    cache.set(source, predicate);
+  }
+  return predicate;
+}
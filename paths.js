@@ -0,0 +1,48 @@
+/*
+  Paths are arrays: the description given to the check, then the keys from the checked value
+  down to the failing one, as they are - numbers for array indices, strings for object keys,
+  and <i> for positions in sets and other iterables. They are rendered as text only in messages:
+
+    dotted   config.items.3["file.name"]
+    pointer  config/items/3/file.name
+*/
+
+// keys that would read as more than one key when dotted are written in brackets
+const PLAIN_KEY = /^[^.[\]"]+$/;
+
+const dotted = keys => keys.map(k => typeof k === 'number' || PLAIN_KEY.test(k) ? `.${k}` : `[${JSON.stringify(k)}]`).join('');
+
+// JSON Pointer (RFC 6901) escaping
+const pointer = keys => keys.map(k => `/${String(k).replaceAll('~', '~0').replaceAll('/', '~1')}`).join('');
+
+export const pathFormats = { dotted, pointer };
+
+export function formatPath([desc = '', ...keys] = [], format = 'dotted') {
+  const rendered = pathFormats[format](keys);
+  if (desc === '') return format === 'dotted' ? rendered.replace(/^\./, '') : rendered;
+  return `${desc}${rendered}`;
+}
+
+/*
+  Makes the function that splits dotted keys of a plain object into nested objects, before it is
+  checked against an object spec: 'shallow' splits the object's own keys, 'deep' those of the
+  objects inside it too, and a list of dotted keys splits only those. false leaves keys as they are.
+*/
+export function undotWith(mode) {
+  if (mode !== 'shallow' && mode !== 'deep' && !Array.isArray(mode)) return v => v;
+  const split = Array.isArray(mode) ? k => mode.includes(k) ? k.split('.') : [k] : k => k.split('.');
+  const undot = obj => {
+    if (!obj || typeof obj !== 'object') return obj;
+    if (obj.constructor && obj.constructor !== Object) return obj;
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+      const keys = split(k);
+      const last = keys.pop();
+      let target = out;
+      for (const key of keys) target = target[key] ??= {};
+      target[last] = mode === 'deep' && v ? undot(v) : v;
+    }
+    return out;
+  }
+  return undot;
+}
@@ -0,0 +1,53 @@
+/*
+  A reporter receives every message from log, debug, warn, error and failed checks as an entry:
+
+    { level, message, prefix, args, failure }
+
+  `failure` is { path, expected, got } for failed type checks. A reporter is either an object
+  with a hook per level (missing hooks are ignored), or a function that receives all entries.
+*/
+
+const print = method => ({ message, args }) => console[method](...[message].filter(Boolean), ...args);
+
+export const consoleReporter = {
+  log: print('log'),
+  debug: print('debug'),
+  warn: print('warn'),
+  error: print('error'),
+};
+
+export const silentReporter = {};
+
+// collects entries in memory, e.g. to assert on warnings in tests
+export function createMemoryReporter() {
+  const entries = [];
+  const collect = entry => { entries.push(entry); };
+  return {
+    entries,
+    log: collect,
+    debug: collect,
+    warn: collect,
+    error: collect,
+    messages: level => entries.filter(e => !level || e.level === level).map(e => e.message),
+    clear: () => { entries.length = 0; },
+  };
+}
+
+export const report = (reporter, entry) =>
+  typeof reporter === 'function' ? reporter(entry) : reporter[entry.level]?.(entry);
+
+/*
+  The global check level, read on every check:
+    assert - assert.* throws and check.* warns (default)
+    check  - assert.* is downgraded to check.*
+    off    - assert.* and check.* always pass without checking
+*/
+const checkLevels = ['assert', 'check', 'off'];
+let checkLevel = 'assert';
+
+export const getCheckLevel = () => checkLevel;
+
+export function setCheckLevel(level) {
+  if (!checkLevels.includes(level)) throw new TypeError(`check level must be one of ${checkLevels.join(', ')}, got ${level}`);
+  checkLevel = level;
+}
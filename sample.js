@@ -0,0 +1,331 @@
+import { parseType, isOptionalSpec } from "./parseType.js";
+import { operatorOf, unwrapShape, deriveSpec, shapeOperators, derivedOperators } from "./shapes.js";
+import { isDescriptor } from "./constraints.js";
+import { formatSpec } from "./formatSpec.js";
+
+const MAX_TRIES = 100;
+// below this depth, recursive specs take their shortest way out: no optional keys, empty collections
+const MAX_DEPTH = 4;
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const isShape = type => !!type && typeof type === 'object' && !Array.isArray(type) && !isDescriptor(type);
+
+// string seeds are hashed (FNV-1a), so that test names can be used as seeds
+const seedOf = seed => {
+  if (typeof seed !== 'string') return Number(seed) >>> 0;
+  let h = 0x811c9dc5;
+  for (const c of seed) h = Math.imul(h ^ c.codePointAt(0), 0x01000193);
+  return h >>> 0;
+}
+
+// mulberry32, with the helpers generators use; the same seed always gives the same values
+export function createRandom(seed = 1) {
+  let a = seedOf(seed);
+  const next = () => {
+    a = a + 0x6D2B79F5 | 0;
+    let t = Math.imul(a ^ a >>> 15, 1 | a);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  }
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  return {
+    next,
+    int,
+    float: (min, max) => Math.min(max, Math.max(min, Math.round((min + next() * (max - min)) * 100) / 100)),
+    bool: () => next() < 0.5,
+    pick: list => list[Math.floor(next() * list.length)],
+    string: (min = 0, max = min + 8) => Array.from({ length: int(min, max) }, () => ALPHABET[int(0, ALPHABET.length - 1)]).join(''),
+  };
+}
+
+/*
+  Generators for the default checkers, as (random, limits) => value. Limits come from ranges and
+  descriptor constraints: { min, max } bound numbers by value, and strings and collections by size.
+*/
+const sizeOf = (r, { min = 0, max = min + 3 } = {}) => r.int(Math.max(0, Math.ceil(min)), Math.floor(max));
+const between = (r, { min, max } = {}, integer = false) => {
+  min ??= (max ?? 1000) - 2000;
+  max ??= min + 2000;
+  return integer ? r.int(Math.ceil(min), Math.floor(max)) : r.float(min, max);
+}
+const primitive = r => r.pick([
+  () => r.int(-100, 100),
+  () => r.string(0, 8),
+  () => r.bool(),
+  () => null,
+  () => undefined,
+])();
+const objectOf = (r, limits) =>
+  Object.fromEntries(Array.from({ length: sizeOf(r, limits) }, () => [r.string(1, 6), primitive(r)]));
+const arrayOf = (r, limits, item = primitive) => Array.from({ length: sizeOf(r, limits) }, () => item(r));
+const text = (r, { min = 0, max = min + 8 } = {}) => r.string(Math.max(0, Math.ceil(min)), Math.floor(max));
+
+export const generators = {
+  any: r => primitive(r),
+  object: objectOf,
+  plainObject: objectOf,
+  string: text,
+  number: (r, limits) => between(r, limits, r.bool()),
+  positive: (r, { min = 0, max } = {}) => between(r, { min: Math.max(min, 0.01), max }),
+  negative: (r, { min, max = 0 } = {}) => between(r, { min, max: Math.min(max, -0.01) }),
+  integer: (r, limits) => between(r, limits, true),
+  positiveInteger: (r, { min = 1, max } = {}) => between(r, { min: Math.max(min, 1), max }, true),
+  negativeInteger: (r, { min, max = -1 } = {}) => between(r, { min, max: Math.min(max, -1) }, true),
+  boolean: r => r.bool(),
+  function: () => function sample() { },
+  array: arrayOf,
+  null: () => null,
+  undefined: () => undefined,
+  none: r => r.pick([null, undefined]),
+  symbol: r => Symbol(r.string(1, 4)),
+  bigint: (r, limits) => BigInt(between(r, limits, true)),
+  date: r => new Date(r.int(0, 2e12)),
+  regexp: r => new RegExp(r.string(1, 4)),
+  error: r => new Error(r.string(1, 8)),
+  promise: r => Promise.resolve(primitive(r)),
+  set: (r, limits) => new Set(arrayOf(r, limits)),
+  map: (r, limits) => new Map(arrayOf(r, limits, r => [r.string(1, 4), primitive(r)])),
+  weakset: () => new WeakSet(),
+  weakmap: () => new WeakMap(),
+  typedArray: (r, limits) => Uint8Array.from(arrayOf(r, limits, r => r.int(0, 255))),
+  iterable: arrayOf,
+  numeric: (r, limits) => r.bool() ? between(r, limits, true) : String(between(r, limits, true)),
+  emptyString: () => '',
+  notEmptyString: (r, { min = 1, max } = {}) => text(r, { min: Math.max(min, 1), max }),
+  emptyArray: () => [],
+  notEmptyArray: (r, { min = 1, max } = {}) => arrayOf(r, { min: Math.max(min, 1), max }),
+  falsy: r => r.pick([0, '', false, null, undefined, NaN]),
+  truthy: r => r.pick([() => r.int(1, 100), () => r.string(1, 8), () => true, () => ({}), () => []])(),
+  primitive: r => primitive(r),
+  asyncFunction: () => async function sample() { },
+  syncFunction: () => function sample() { },
+};
+
+const formatGenerators = {
+  email: r => `${r.string(1, 8)}@${r.string(1, 8)}.com`,
+  uuid: r => [8, 4, 4, 4, 12].map(n => Array.from({ length: n }, () => r.int(0, 15).toString(16)).join('')).join('-'),
+  url: r => `https://${r.string(1, 8)}.com/${r.string(0, 8)}`,
+  'iso-date': r => new Date(r.int(0, 2e12)).toISOString(),
+};
+
+// values of many types, for custom checkers without a generator and for $not
+const anything = r => r.pick([
+  primitive,
+  r => r.int(-1000, 1000),
+  r => r.float(-1000, 1000),
+  r => objectOf(r),
+  r => arrayOf(r),
+])(r);
+
+// wrong types, tried as near misses of any spec
+const misses = () => [null, undefined, 0, -1, 1.5, NaN, '', 'x', true, [], {}];
+
+/*
+  Makes { sample, samples, invalidSamples } for a checker map. Values are generated from the spec
+  and kept only if `is` accepts them, so custom checkers without a generator and constraints
+  such as $pattern are met by trying again, up to MAX_TRIES times. A checker can generate its
+  own values with a `sample(random, limits)` method.
+*/
+export function makeSampler({ typeCheckers, schemas = {}, is, fail }) {
+  const count = (r, limits, depth) => depth >= MAX_DEPTH ? Math.max(0, Math.ceil(limits.min ?? 0)) : sizeOf(r, limits);
+
+  function named(name, r, limits, depth) {
+    if (Object.hasOwn(schemas, name)) return generate(schemas[name], r, limits, depth + 1);
+    const checker = typeCheckers[name];
+    if (typeof checker !== 'function') fail(`unknown type "${name}"`);
+    if (typeof checker.sample === 'function') return checker.sample(r, limits);
+    if (generators[name]) return generators[name](r, limits);
+    return custom(checker, r, limits);
+  }
+
+  function custom(checker, r, limits) {
+    if (typeof checker.sample === 'function') return checker.sample(r, limits);
+    for (let i = 0; i < MAX_TRIES; i++) {
+      const value = anything(r);
+      if (checker(value)) return value;
+    }
+    fail(`cannot sample ${checker.name || '<function>'}, give it a sample(random) method`);
+  }
+
+  function fromNode(node, r, limits, depth) {
+    switch (node.kind) {
+      case 'name':
+        return named(node.name, r, limits, depth);
+      case 'literal':
+        return node.value;
+      case 'union':
+        return fromNode(r.pick(node.types), r, limits, depth);
+      case 'optional':
+        return depth >= MAX_DEPTH || r.next() < 0.25 ? undefined : fromNode(node.type, r, limits, depth);
+      case 'range':
+        return fromNode(node.type, r, { min: node.min, max: node.max }, depth);
+      case 'generic': {
+        const [key, item] = node.args;
+        const items = f => Array.from({ length: count(r, limits, depth) }, f);
+        const at = type => () => fromNode(type, r, {}, depth + 1);
+        if (node.name === 'set') return new Set(items(at(key)));
+        if (node.name === 'map') return new Map(items(() => [at(key)(), at(item)()]));
+        return items(at(key));
+      }
+    }
+  }
+
+  function shape(type, r, depth, partial = false) {
+    const out = {};
+    for (const [k, spec] of Object.entries(type)) {
+      if ((partial || isOptionalSpec(spec)) && (depth >= MAX_DEPTH || r.next() < 0.3)) continue;
+      out[k] = generate(spec, r, {}, depth + 1);
+    }
+    return out;
+  }
+
+  function operator(op, args, r, depth) {
+    const items = f => Array.from({ length: count(r, {}, depth) }, f);
+    const at = type => () => generate(type, r, {}, depth + 1);
+    switch (op) {
+      case '$or': case '$any': case '$some':
+        return generate(depth >= MAX_DEPTH ? args[0] : r.pick(args), r, {}, depth);
+      case '$and': case '$all': case '$every':
+        try {
+          // intersections of object specs are sampled as one object spec
+          return shape(Object.assign({}, ...args.map(spec => unwrapShape(null, [spec]).shape)), r, depth);
+        } catch {
+          return generate(args[0], r, {}, depth);
+        }
+      case '$not':
+        return anything(r);
+      case '$tuple':
+        return args.map(type => at(type)());
+      case '$strict': case '$exact': case '$partial': {
+        const { shape: keys, wrappers } = unwrapShape(op, args);
+        return shape(keys, r, depth, wrappers.includes('$partial'));
+      }
+      case '$pick': case '$omit': case '$extend':
+        return generate(deriveSpec(op, args), r, {}, depth);
+      case '$record': {
+        const [key, value] = args.length === 1 ? ['string', args[0]] : args;
+        return Object.fromEntries(items(() => [String(at(key)()), at(value)()]));
+      }
+      case '$union': {
+        const [{ key, cases }] = args;
+        const tag = r.pick(Object.keys(cases));
+        return { ...generate(cases[tag], r, {}, depth), [key]: tag };
+      }
+      case '$map':
+        return new Map(items(() => [at(args[0])(), at(args[1])()]));
+      case '$set':
+        return new Set(items(at(args[0])));
+      case '$iterableOf':
+        return items(at(args[0]));
+      case '$resolves':
+        return Promise.resolve(generate(args[0], r, {}, depth));
+      case '$undot':
+        return generate(args[1], r, {}, depth);
+    }
+    fail(`cannot sample ${op}`);
+  }
+
+  // constraints become limits for the $type's generator; the rest is left to trying again
+  function descriptor(type, r, depth) {
+    if ('$enum' in type) return r.pick(type.$enum);
+    if ('$literal' in type) return type.$literal;
+    if (type.$format && formatGenerators[type.$format]) return formatGenerators[type.$format](r);
+    const [minLength, maxLength] = type.$length === undefined ? [] : [type.$length].flat();
+    const limits = {
+      min: type.$min ?? type.$minItems ?? minLength,
+      max: type.$max ?? type.$maxItems ?? maxLength ?? minLength,
+    };
+    if (type.$multipleOf) {
+      const n = type.$multipleOf;
+      return n * r.int(Math.ceil((limits.min ?? -1000) / n), Math.floor((limits.max ?? 1000) / n));
+    }
+    const value = generate(type.$type ?? 'any', r, limits, depth);
+    return type.$unique && Array.isArray(value) ? [...new Set(value)] : value;
+  }
+
+  function generate(type, r, limits = {}, depth = 0) {
+    if (typeof type === 'string') {
+      let node;
+      try {
+        node = parseType(type, typeCheckers);
+      } catch (e) {
+        fail(e.message);
+      }
+      return fromNode(node, r, limits, depth);
+    }
+    if (typeof type === 'function') return custom(type, r, limits);
+    if (Array.isArray(type) && type.length === 1) {
+      return Array.from({ length: count(r, limits, depth) }, () => generate(type[0], r, {}, depth + 1));
+    }
+    const [op, args] = operatorOf(type);
+    if (op) return operator(op, args, r, depth);
+    if (isDescriptor(type)) return descriptor(type, r, depth);
+    if (isShape(type)) return shape(type, r, depth);
+    fail(`cannot sample ${formatSpec(type)}`);
+  }
+
+  function valid(type, r) {
+    for (let i = 0; i < MAX_TRIES; i++) {
+      const value = generate(type, r);
+      if (is(type, value)) return value;
+    }
+    fail(`cannot sample ${formatSpec(type)}: no valid value in ${MAX_TRIES} tries`);
+  }
+
+  // values one change away from a valid one: a wrong key or item, a missing or extra key, a value just out of range
+  function nearMisses(type, r, depth = 0) {
+    if (depth > MAX_DEPTH) return [];
+    if (typeof type === 'string' && Object.hasOwn(schemas, type)) return nearMisses(schemas[type], r, depth + 1);
+    const [op, args] = operatorOf(type);
+    const base = valid(type, r);
+    const changed = [];
+    const within = (spec, f) => nearMisses(spec, r, depth + 1).slice(0, 3).forEach(f);
+    if (Array.isArray(type) && type.length === 1) {
+      const list = base.length ? base : [valid(type[0], r)];
+      within(type[0], miss => changed.push([miss, ...list.slice(1)]));
+    } else if (op === '$tuple') {
+      args.forEach((spec, i) => within(spec, miss => changed.push(Object.assign([...base], { [i]: miss }))));
+      changed.push(base.slice(0, -1), [...base, null]);
+    } else if (op === '$union') {
+      changed.push({ ...base, [args[0].key]: `not ${base[args[0].key]}` });
+    } else if (isDescriptor(type)) {
+      if (type.$min !== undefined) changed.push(type.$min - 1);
+      if (type.$max !== undefined) changed.push(type.$max + 1);
+      if (type.$multipleOf) changed.push(type.$multipleOf / 2);
+      if (type.$enum || '$literal' in type) changed.push(`not ${String(type.$enum?.[0] ?? type.$literal)}`);
+      const [minLength, maxLength = minLength] = type.$length === undefined ? [type.$minItems, type.$maxItems] : [type.$length].flat();
+      const sized = n => typeof base === 'string' ? 'x'.repeat(n) : Array.isArray(base) ? Array.from({ length: n }, (_, i) => base[i % base.length]) : undefined;
+      if (minLength > 0) changed.push(sized(minLength - 1));
+      if (maxLength !== undefined) changed.push(sized(maxLength + 1));
+      if (type.$unique && Array.isArray(base) && base.length) changed.push([...base, base[0]]);
+      if (type.$type !== undefined) changed.push(...nearMisses(type.$type, r, depth + 1));
+    } else if (op === null && isShape(type) || shapeOperators.includes(op) || derivedOperators.includes(op)) {
+      const { shape: keys, wrappers } = unwrapShape(null, [type]);
+      for (const [k, spec] of Object.entries(keys)) {
+        const { [k]: _, ...rest } = base;
+        changed.push(rest);
+        within(spec, miss => changed.push({ ...base, [k]: miss }));
+      }
+      if (wrappers.some(w => w !== '$partial')) changed.push({ ...base, [`extra${r.int(0, 9)}`]: true });
+    }
+    return [...changed, ...misses()];
+  }
+
+  const sample = (type, { seed } = {}) => valid(type, createRandom(seed));
+
+  const samples = (type, n, { seed } = {}) => {
+    const r = createRandom(seed);
+    return Array.from({ length: n }, () => valid(type, r));
+  }
+
+  const invalidSamples = (type, { seed } = {}) => {
+    const seen = new Set();
+    return nearMisses(type, createRandom(seed)).filter(value => {
+      if (value === undefined ? seen.has('undefined') : seen.has(value)) return false;
+      seen.add(value === undefined ? 'undefined' : value);
+      return !is(type, value);
+    });
+  }
+
+  return { sample, samples, invalidSamples };
+}
@@ -0,0 +1,75 @@
+import { isDescriptor } from "./constraints.js";
+
+/*
+  Object shapes and the operators that derive new specs from them:
+
+    ['$pick', spec, 'a', 'b']      only keys a and b
+    ['$omit', spec, 'a']           all keys but a
+    ['$extend', spec, { c: ... }]  spec with keys added or replaced
+
+  `spec` may be a plain object spec or one wrapped in $strict, $exact or $partial,
+  and the derived spec keeps the same wrappers.
+*/
+
+export const shapeOperators = ['$strict', '$exact', '$partial'];
+export const derivedOperators = ['$pick', '$omit', '$extend'];
+
+const isPlainObject = v => v && typeof v === 'object' && !Array.isArray(v);
+
+// the operator of a spec in either form, ['$op', ...args] or { $op: args }, with its arguments
+export function operatorOf(spec) {
+  if (Array.isArray(spec) && spec.length > 1 && typeof spec[0] === 'string' && spec[0].startsWith('$')) {
+    return [spec[0], spec.slice(1)];
+  }
+  if (isPlainObject(spec)) {
+    const keys = Object.keys(spec);
+    if (keys.length === 1 && keys[0].startsWith('$') && !isDescriptor(spec)) {
+      const args = spec[keys[0]];
+      return [keys[0], Array.isArray(args) ? args : [args]];
+    }
+  }
+  return [null, null];
+}
+
+// the object spec inside any $strict, $exact and $partial wrappers, with the wrappers from the outside in
+export function unwrapShape(op, [spec]) {
+  if (op) {
+    const { shape, wrappers } = unwrapShape(null, [spec]);
+    return { shape, wrappers: [op, ...wrappers] };
+  }
+  const [inner, args] = operatorOf(spec);
+  if (shapeOperators.includes(inner)) return unwrapShape(inner, args);
+  if (derivedOperators.includes(inner)) return unwrapShape(null, [deriveSpec(inner, args)]);
+  if (!inner && isPlainObject(spec) && !isDescriptor(spec)) return { shape: spec, wrappers: [] };
+  throw new TypeError('expected an object spec');
+}
+
+const unwrap = spec => unwrapShape(null, [spec]);
+
+const wrap = (shape, wrappers) => wrappers.reduceRight((spec, op) => [op, spec], shape);
+
+// a $union case with its tag key added to its object spec, so that $strict and $exact cases accept
+// the tag; the tag itself is checked by $union. cases that are not object specs are left as they are
+export function unionCase(spec, key) {
+  let unwrapped;
+  try {
+    unwrapped = unwrap(spec);
+  } catch {
+    return spec;
+  }
+  const { shape, wrappers } = unwrapped;
+  return Object.hasOwn(shape, key) ? spec : wrap({ ...shape, [key]: 'any' }, wrappers);
+}
+
+export function deriveSpec(op, [base, ...rest]) {
+  const { shape, wrappers } = unwrap(base);
+  const keys = rest.flat();
+  switch (op) {
+    case '$pick':
+      return wrap(Object.fromEntries(Object.entries(shape).filter(([k]) => keys.includes(k))), wrappers);
+    case '$omit':
+      return wrap(Object.fromEntries(Object.entries(shape).filter(([k]) => !keys.includes(k))), wrappers);
+    case '$extend':
+      return wrap(Object.assign({}, shape, ...rest.map(spec => unwrap(spec).shape)), wrappers);
+  }
+}
@@ -0,0 +1,76 @@
+import { formatSpec } from "./formatSpec.js";
+import { formatPath } from "./paths.js";
+
+/*
+  Statistics of instrumented checks, kept per class, method, description and spec:
+
+    { class: 'User', method: 'assert.is', desc: 'email', spec: 'string', calls: 12, failures: 1, time: 0.4 }
+
+  time is in milliseconds. Checks are instrumented with the `instrument: true` option.
+*/
+const entries = new Map();
+
+// specs are rendered once per spec object
+const labels = new WeakMap();
+const labelOf = type => {
+  if (!type || typeof type !== 'object' && typeof type !== 'function') return String(type);
+  let label = labels.get(type);
+  if (label === undefined) labels.set(type, label = formatSpec(type));
+  return label;
+}
+
+function record({ owner, method }, type, path, failed, time) {
+  const spec = labelOf(type);
+  const desc = Array.isArray(path) ? formatPath(path) : String(path ?? '');
+  const key = JSON.stringify([owner, method, desc, spec]);
+  let entry = entries.get(key);
+  if (!entry) entries.set(key, entry = { class: owner, method, desc, spec, calls: 0, failures: 0, time: 0 });
+  entry.calls++;
+  if (failed) entry.failures++;
+  entry.time += time;
+}
+
+// runs a check and records it; a check fails when it returns or resolves to false, or throws
+export function measure(site, type, desc, check) {
+  const start = performance.now();
+  const done = failed => record(site, type, desc, failed, performance.now() - start);
+  let result;
+  try {
+    result = check();
+  } catch (e) {
+    done(true);
+    throw e;
+  }
+  if (typeof result?.then !== 'function') {
+    done(result === false);
+    return result;
+  }
+  return result.then(ok => {
+    done(ok === false);
+    return ok;
+  }, e => {
+    done(true);
+    throw e;
+  });
+}
+
+/*
+  Returns the statistics recorded so far, most failing first, with the checks that never failed
+  (possibly too loose, or only ever given valid values) and those that never passed.
+*/
+export function getTypeCheckStats() {
+  const checks = [...entries.values()]
+    .map(entry => ({ ...entry }))
+    .sort((a, b) => b.failures - a.failures || b.calls - a.calls);
+  return {
+    checks,
+    neverFailed: checks.filter(c => c.failures === 0),
+    neverPassed: checks.filter(c => c.failures === c.calls),
+  };
+}
+
+export const dumpTypeCheckStats = (space = 2) => JSON.stringify(getTypeCheckStats(), null, space);
+
+export function resetTypeCheckStats() {
+  entries.clear();
+}
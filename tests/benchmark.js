@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+import { withTypeCheckers } from '../with-type-checkers.js';
+
+const TestClass = withTypeCheckers();
+const N = 200_000;
+
+const value = {
+  name: 'Ann',
+  age: 30,
+  tags: ['a', 'b', 'c'],
+  origin: [1, 2],
+  role: 'admin',
+};
+
+// an inline spec is a fresh object on every call, so it is never cached
+const makeSpec = () => ({
+  name: 'string',
+  age: 'positiveInteger',
+  tags: ['string'],
+  origin: ['$tuple', 'number', 'number'],
+  role: ['$or', 'null', "'admin'|'user'"],
+});
+
+function bench(title, fn) {
+  for (let i = 0; i < 1000; i++) fn();
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < N; i++) fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${title.padEnd(24)} ${ms.toFixed(1).padStart(8)} ms  ${(N / ms * 1000).toFixed(0).padStart(10)} ops/s`);
+  return ms;
+}
+
+const spec = makeSpec();
+const compiled = TestClass.compile(spec);
+
+const inline = bench('is() with inline spec', () => TestClass.is(makeSpec(), value));
+const cached = bench('is() with compiled spec', () => TestClass.is(spec, value));
+const precompiled = bench('compile(spec)()', () => compiled(value));
+
+console.log(`\nis() with compiled spec: ${(inline / cached).toFixed(1)}x, compile(spec)(): ${(inline / precompiled).toFixed(1)}x faster than inline specs`);
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
-import { withTypeCheckers, createWithTypeCheckers } from '../with-type-checkers.js';
-import { describe, it, assert, assertThrows, assertDoesNotThrow, report } from './tiny-test.js';
+import { withTypeCheckers, createWithTypeCheckers, createChecker, sample, samples, invalidSamples, getTypeCheckStats, dumpTypeCheckStats, resetTypeCheckStats, TypeCheckError, formatSpec, createValueFormatter, createMemoryReporter, setCheckLevel, toJSONSchema, fromJSONSchema, toTypeScript, toDeclarations } from '../with-type-checkers.js';
+import { describe, it, assert, assertThrows, assertRejects, assertDoesNotThrow, report } from './tiny-test.js';
+import { defaultTypeCheckers } from '../defaultTypeCheckers.js';
 
 describe('with-type-checkers - Comprehensive Tests', () => {
 
@@ -219,6 +220,13 @@ describe('with-type-checkers - Comprehensive Tests', () => {
       assert(instance.is('array', []));
       assert(!instance.is('object', []));
     });
+
+    it('shares per type checks between instances', () => {
+      const other = new TestClass();
+      assert(other.is.string === instance.is.string && other.assert.is.number === instance.assert.is.number);
+      assertThrows(() => other.assert.is.number('x', 'n'), 'n expected number');
+      assert(typeof instance.is.call === 'function' && instance.is.string.call(instance.is, 'a'));
+    });
   });
 
   describe('Array & Object Specs', () => {
@@ -272,6 +280,1361 @@ describe('with-type-checkers - Comprehensive Tests', () => {
   });
 });
 
+  describe('Validation Results', () => {
+    const TestClass = withTypeCheckers({ classPrefix: 'Config' });
+    const spec = {
+      name: 'string',
+      port: 'positiveInteger',
+      tags: ['string'],
+      origin: ['$tuple', 'number', 'number'],
+      mode: ['$or', 'null', 'string'],
+    };
+
+    it('returns ok with no errors for a valid value', () => {
+      const { ok, errors } = TestClass.validate(spec, { name: 'a', port: 80, tags: ['x'], origin: [0, 0], mode: null });
+      assert(ok);
+      assert(errors.length === 0);
+    });
+
+    it('collects every failing path', () => {
+      const { ok, errors } = TestClass.validate(spec, { name: 1, port: -1, tags: ['x', 2, 3], origin: [0, 'y'], mode: 5 });
+      assert(!ok);
+      const paths = errors.map(e => e.path);
+      assert(paths.join() === 'name,port,tags.1,tags.2,origin.1,mode', paths.join());
+    });
+
+    it('reports expected type, got value and message', () => {
+      const { errors: [error] } = TestClass.validate({ user: { id: 'number' } }, { user: { id: '1' } }, 'config');
+      assert(error.path === 'config.user.id');
+      assert(error.expected === 'number');
+      assert(error.got === '1');
+      assert(error.message === 'Config config.user.id expected number but got [string "1"]', error.message);
+    });
+
+    it('lets subclasses define their own validate', () => {
+      class Model extends TestClass {
+        validate(data) {
+          this.assert.is.object(data, 'data');
+          return super.validate({ name: 'string' }, data, 'data');
+        }
+      }
+      const model = new Model();
+      assertThrows(() => model.validate(null), 'Config data expected object but got [null]');
+      assert(model.validate({ name: 1 }).errors[0].path === 'data.name');
+      assert(!Object.hasOwn(model, 'validate') && !Object.hasOwn(model, 'sample'));
+      assert(new TestClass().compile('string')('x'));
+    });
+
+    it('keeps methods of the class passed in', () => {
+      class Base { validate() { return 'own'; } }
+      const model = new (withTypeCheckers(Base))();
+      assert(model.validate() === 'own');
+      assert(model.coerce('number', '1') === 1);
+    });
+
+    it('reports wrong containers without throwing', () => {
+      const { errors } = TestClass.validate({ tags: ['string'], pos: ['$tuple', 'number'], meta: { a: 'number' } }, { tags: 'x', pos: 1, meta: null });
+      assert(errors.map(e => e.path).join() === 'tags,pos,meta');
+    });
+  });
+
+  describe('Negated Specs', () => {
+    const TestClass = withTypeCheckers();
+
+    it('is.not negates the whole spec', () => {
+      assert(!TestClass.is.not('number', 42));
+      assert(TestClass.is.not('number', 'x'));
+      assert(TestClass.is.not({ a: 'number' }, { a: 'x' }));
+    });
+  });
+
+  describe('Typed Errors', () => {
+    const TestClass = withTypeCheckers({ classPrefix: 'Config' });
+    const catchError = fn => { try { fn(); } catch (e) { return e; } };
+
+    it('throws TypeCheckError with machine-readable fields', () => {
+      const error = catchError(() => TestClass.assert.is({ user: { id: 'number' } }, { user: { id: '1' } }, 'config'));
+      assert(error instanceof TypeCheckError);
+      assert(error instanceof TypeError);
+      assert(error.path === 'config.user.id');
+      assert(error.expectedType === 'number');
+      assert(error.actualValue === '1');
+      assert(error.prefix === 'Config');
+      assert(error.message === 'Config config.user.id expected number but got [string "1"]');
+    });
+
+    it('lists nested causes for unions', () => {
+      const error = catchError(() => TestClass.assert.is(['$or', 'string', { id: 'number' }], { id: 'x' }, 'ref'));
+      assert(error.path === 'ref');
+      assert(error.causes.length === 2);
+      assert(error.causes.every(cause => cause instanceof TypeCheckError));
+      assert(error.causes.map(cause => cause.path).join() === 'ref,ref.id');
+    });
+
+    it('throws TypeCheckError from assert and throw', () => {
+      const error = catchError(() => TestClass.assert(false, 'boom'));
+      assert(error instanceof TypeCheckError);
+      assert(error.prefix === 'Config');
+      assert(catchError(() => TestClass.throw('boom')) instanceof TypeCheckError);
+    });
+  });
+
+  describe('Method Signatures', () => {
+    class User extends withTypeCheckers({ classPrefix: 'User' }) {
+      static signatures = {
+        constructor: { params: { name: 'string' } },
+        setAge: { params: { age: 'positiveInteger' }, returns: 'number' },
+        move: { params: ['number', 'number'] },
+        broken: { returns: 'string' },
+        load: { params: { id: 'string' }, returns: { id: 'string' } },
+      };
+      constructor(name) {
+        super(name);
+        this.name = name;
+      }
+      setAge(age) { return this.age = age; }
+      move(x, y) { return [x, y]; }
+      broken() { return 42; }
+      async load(id) { return { id: id === 'bad' ? 1 : id }; }
+    }
+
+    it('validates named parameters', () => {
+      const user = new User('ann');
+      assertDoesNotThrow(() => user.setAge(30));
+      assertThrows(() => user.setAge(-1), 'User setAge.age expected positiveInteger but got [number -1]');
+    });
+
+    it('validates positional parameters', () => {
+      const user = new User('ann');
+      assertThrows(() => user.move(1, 'x'), 'User move.1 expected number but got [string "x"]');
+    });
+
+    it('validates return values', () => {
+      assertThrows(() => new User('ann').broken(), 'User broken.return expected string but got [number 42]');
+    });
+
+    it('validates constructor arguments', () => {
+      assertThrows(() => new User(5), 'User constructor.name expected string but got [number 5]');
+    });
+
+    it('wraps each method only once', () => {
+      new User('bob');
+      assert(User.prototype.setAge.name === 'setAge');
+      assertThrows(() => new User('ann').setAge(0), 'User setAge.age expected');
+    });
+
+    it('leaves inherited methods of other classes unwrapped', () => {
+      class Base {
+        greet(name) { return `hi ${name}`; }
+      }
+      class Checked extends withTypeCheckers(Base, { classPrefix: 'Checked' }) {
+        static signatures = { greet: { params: ['string'] } };
+      }
+      assertThrows(() => new Checked().greet(1), 'Checked greet.0 expected string but got [number 1]');
+      assert(new Base().greet('x') === 'hi x');
+      assert(Object.getOwnPropertyDescriptor(Base.prototype, 'greet').value.toString().startsWith('greet(name)'));
+    });
+
+    it('signs the signatures of the class passed in on the mixin', () => {
+      class Base {
+        static signatures = { constructor: { params: ['string'] }, greet: { params: ['string'], returns: 'string' } };
+        constructor(name) { this.name = name; }
+        greet(name) { return `hi ${name}`; }
+      }
+      const Greeter = withTypeCheckers(Base);
+      class Polite extends Greeter {}
+      assertThrows(() => new Greeter('ann').greet(1), 'Base greet.0 expected string but got [number 1]');
+      assertThrows(() => new Polite(1), 'Base constructor.0 expected string');
+      assertThrows(() => new Polite('ann').greet(1), 'greet.0 expected string');
+      assert(new Base('ann').greet(1) === 'hi 1');
+      assert(!Object.hasOwn(Polite.prototype, 'greet'));
+    });
+
+    it('keeps the signatures of sibling classes apart', () => {
+      const Store = withTypeCheckers(class Store {
+        set(value) { return this.value = value; }
+      });
+      class Numbers extends Store {
+        static signatures = { set: { params: ['number'] } };
+      }
+      class Names extends Store {
+        static signatures = { set: { params: ['string'] } };
+      }
+      new Numbers();
+      assertDoesNotThrow(() => new Names().set('ann'));
+      assertThrows(() => new Names().set(1), 'set.0 expected string');
+      assertThrows(() => new Numbers().set('ann'), 'set.0 expected number');
+      assert(new Store().set(true) === true);
+    });
+
+    it('keeps failing for signatures of missing methods', () => {
+      class Broken extends withTypeCheckers({ classPrefix: 'Broken' }) {
+        static signatures = { missing: { params: ['string'] } };
+      }
+      assertThrows(() => new Broken(), 'Broken signatures: no method missing');
+      assertThrows(() => new Broken(), 'Broken signatures: no method missing');
+    });
+
+    it('validates awaited results of async methods', async () => {
+      const user = new User('ann');
+      assert((await user.load('x')).id === 'x');
+      await assertRejects(() => user.load('bad'), 'User load.return.id expected string but got [number 1]');
+    });
+  });
+
+  describe('Typed Properties', () => {
+    const Base = class {
+      constructor(id) {
+        this.id = id;
+      }
+    };
+    const TestClass = withTypeCheckers(Base, {
+      classPrefix: 'Item',
+      properties: {
+        name: 'string|undefined',
+        tags: { $type: ['string'], $default: () => [] },
+        count: { $type: 'integer', $default: 0 },
+        id: { $type: 'string', $readonly: true },
+      },
+    });
+
+    it('validates assignments', () => {
+      const item = new TestClass('a');
+      item.name = 'x';
+      assert(item.name === 'x');
+      assertThrows(() => item.name = 5, 'Item name expected string|undefined but got [number 5]');
+      assert(item.name === 'x');
+    });
+
+    it('fills in defaults per instance', () => {
+      const a = new TestClass('a'), b = new TestClass('b');
+      assert(a.count === 0);
+      a.tags.push('x');
+      assert(b.tags.length === 0);
+    });
+
+    it('validates assignments made by the base constructor', () => {
+      assertThrows(() => new TestClass(5), 'Item id expected string but got [number 5]');
+    });
+
+    it('rejects reassigning read-only properties', () => {
+      const item = new TestClass('a');
+      assert(item.id === 'a');
+      assertThrows(() => item.id = 'b', 'Item id is read-only');
+    });
+  });
+
+  describe('Type Expressions', () => {
+    const TestClass = withTypeCheckers({ classPrefix: 'Expr' });
+
+    it('parameterised containers', () => {
+      assert(TestClass.is('array<string>', ['a', 'b']));
+      assert(!TestClass.is('array<string>', ['a', 1]));
+      assert(TestClass.is('number[]', [1, 2]));
+      assert(TestClass.is('(string|number)[]', [1, 'a']));
+      assert(!TestClass.is('number[]', 'x'));
+      assert(TestClass.is('set<number>', new Set([1])));
+      assert(TestClass.is('map<string, number>', new Map([['a', 1]])));
+      assert(!TestClass.is('map<string, number>', new Map([[1, 'a']])));
+    });
+
+    it('optional types', () => {
+      assert(TestClass.is('string?', undefined));
+      assert(TestClass.is({ name: 'string', age: 'number?' }, { name: 'Bob' }));
+      assert(!TestClass.is('string?', null));
+    });
+
+    it('literals', () => {
+      assert(TestClass.is("'a'|'b'", 'b'));
+      assert(!TestClass.is("'a'|'b'", 'c'));
+      assert(TestClass.is('1|2|true', true));
+    });
+
+    it('ranges', () => {
+      assert(TestClass.is('integer(0..100)', 100));
+      assert(!TestClass.is('integer(0..100)', 101));
+      assert(!TestClass.is('integer(0..100)', 1.5));
+      assert(TestClass.is('string(1..)', 'a'));
+      assert(!TestClass.is('string(1..)', ''));
+    });
+
+    it('takes checker names that are not expressions as they are', () => {
+      const nonEmpty = v => typeof v === 'string' && v !== '';
+      const Named = createWithTypeCheckers({ 'non-empty': nonEmpty, 'user.id': v => /^u\d+$/.test(v) })();
+      assert(Named.is('non-empty', 'a') && !Named.is('non-empty', ''));
+      assert(Named.is({ id: 'user.id', name: 'non-empty' }, { id: 'u1', name: 'ann' }));
+      assertThrows(() => Named.assert.is('user.id', 'x', 'id'), 'id expected user.id but got [string "x"]');
+      assert(Named.coerce('non-empty', 'a') === 'a');
+      assert(toTypeScript('non-empty', { types: { 'non-empty': 'string' } }) === 'string');
+      assertThrows(() => Named.is('non-empty[]', ['a']), 'invalid type "non-empty[]"');
+    });
+
+    it('works with assert.is and check.is', () => {
+      assertThrows(() => TestClass.assert.is('number[]', [1, 'x'], 'list'), 'Expr list expected number[] but got [array (2)]');
+      assertDoesNotThrow(() => TestClass.assert.is('integer(0..10)', 5));
+    });
+
+    it('reports invalid expressions and unknown names', () => {
+      assertThrows(() => TestClass.is('array<string', []), 'Expr invalid type "array<string": expected ">"');
+      assertThrows(() => TestClass.is('strng', 'x'), 'Expr invalid type "strng": unknown type "strng"');
+      assertThrows(() => TestClass.is('string<number>', 'x'), 'does not take parameters');
+    });
+  });
+
+  describe('Compiled Specs', () => {
+    const TestClass = withTypeCheckers({ classPrefix: 'Compiled' });
+    const spec = { id: 'integer', kind: ['$or', 'null', "'a'|'b'"], tags: ['string'] };
+
+    it('does not mutate specs', () => {
+      const json = JSON.stringify(spec);
+      assert(TestClass.is(spec, { id: 1, kind: 'a', tags: [] }));
+      assert(TestClass.is(spec, { id: 1, kind: null, tags: [] }));
+      assert(JSON.stringify(spec) === json);
+    });
+
+    it('leaves operator specs intact across every kind of check', async () => {
+      const json = JSON.stringify(spec);
+      for (let i = 0; i < 2; i++) {
+        assert(!TestClass.validate(spec, { id: 1, kind: 'c', tags: [] }).ok);
+        assert(await TestClass.is.async(spec, { id: 1, kind: 'b', tags: [] }));
+        assert(TestClass.coerce(spec, { id: '1', kind: 'a', tags: [] }).id === 1);
+      }
+      assert(JSON.stringify(spec) === json);
+    });
+
+    it('returns a reusable predicate', () => {
+      const isItem = TestClass.compile(spec);
+      assert(isItem({ id: 1, kind: 'b', tags: ['x'] }));
+      assert(!isItem({ id: 1, kind: 'c', tags: ['x'] }));
+      assert(isItem.not({ id: 'x' }));
+      assert(isItem.validate({ id: 'x', kind: 'a', tags: [1] }).errors.length === 2);
+    });
+
+    it('asserts with the usual prefix and path', () => {
+      const isItem = TestClass.compile(spec);
+      assertThrows(() => isItem.assert({ id: 1.5, kind: 'a', tags: [] }, 'item'), 'Compiled item.id expected integer but got [number 1.5]');
+    });
+
+    it('reports invalid specs at compile time', () => {
+      assertThrows(() => TestClass.compile({ id: 'strng' }), 'Compiled invalid type "strng"');
+      assertThrows(() => TestClass.compile(['$nope', 'string']), 'Compiled not allowed [$nope]');
+    });
+  });
+
+  describe('Coercion', () => {
+    const TestClass = withTypeCheckers({ classPrefix: 'Query' });
+
+    it('converts strings to numbers, booleans and dates', () => {
+      const result = TestClass.coerce({ page: 'positiveInteger', debug: 'boolean', since: 'date', q: 'string' }, { page: '42', debug: 'false', since: '2024-01-02', q: '7' });
+      assert(result.page === 42);
+      assert(result.debug === false);
+      assert(result.since instanceof Date && result.since.getUTCDate() === 2);
+      assert(result.q === '7');
+    });
+
+    it('coerces through expressions, arrays and unions', () => {
+      assert(TestClass.coerce('number[]', ['1', '2']).join() === '1,2');
+      assert(TestClass.coerce(['numeric'], ['1'])[0] === '1');
+      assert(TestClass.coerce('integer(0..10)?', '5') === 5);
+      assert(TestClass.coerce(['$or', 'null', 'number'], '3') === 3);
+      assert(TestClass.coerce(['$tuple', 'number', 'boolean'], ['1', 'true'])[1] === true);
+    });
+
+    it('fills in defaults and optionally strips unknown keys', () => {
+      const spec = { limit: { $type: 'integer', $default: 10 }, tags: { $type: ['string'], $default: () => [] } };
+      const input = { extra: 1 };
+      const result = TestClass.coerce(spec, input);
+      assert(result.limit === 10 && result.tags.length === 0 && result.extra === 1);
+      assert(!('extra' in TestClass.coerce(spec, input, 'query', { strip: true })));
+      assert(!('limit' in input));
+    });
+
+    it('throws the usual error when coercion is impossible', () => {
+      assertThrows(() => TestClass.coerce({ page: 'integer' }, { page: 'x' }, 'query'), 'Query query.page expected integer but got [string "x"]');
+      assertThrows(() => TestClass.assert.coerce('boolean', 'yes'), 'Query expected boolean but got [string "yes"]');
+    });
+  });
+
+  describe('Reporters', () => {
+    const reporter = createMemoryReporter();
+    class TestClass extends withTypeCheckers({ classPrefix: 'Rep', reporter }) {}
+
+    it('routes warnings and logs through the reporter', () => {
+      reporter.clear();
+      TestClass.check.is.string(5, 'name');
+      TestClass.log('hello', 1);
+      TestClass.error('oops');
+      assert(reporter.messages('warn').join() === 'Rep name expected string but got [number 5]');
+      assert(reporter.entries[1].level === 'log' && reporter.entries[1].args.join() === 'hello,1');
+      assert(reporter.messages('error').join() === 'Rep oops');
+    });
+
+    it('passes structured failure data', () => {
+      reporter.clear();
+      TestClass.check.is({ a: 'number' }, { a: 'x' }, 'cfg');
+      assert(reporter.entries.length === 1);
+      const { failure, prefix } = reporter.entries[0];
+      assert(prefix === 'Rep');
+      assert(failure.path === 'cfg.a' && failure.expected === 'number' && failure.got === 'x');
+    });
+
+    it('accepts a function reporter', () => {
+      const levels = [];
+      const Fn = withTypeCheckers({ reporter: entry => levels.push(entry.level) });
+      Fn.check(false, 'x');
+      Fn.debug('y');
+      assert(levels.join() === 'warn,debug');
+    });
+
+    it('downgrades assert to check', () => {
+      reporter.clear();
+      setCheckLevel('check');
+      try {
+        assertDoesNotThrow(() => TestClass.assert.is.string(5, 'name'));
+        assert(TestClass.assert.is('number', 'x') === false);
+        assertDoesNotThrow(() => TestClass.assert(false, 'boom'));
+      } finally {
+        setCheckLevel('assert');
+      }
+      assert(reporter.messages('warn').length === 3);
+      assertThrows(() => TestClass.assert.is.string(5));
+    });
+
+    it('switches checks off', () => {
+      reporter.clear();
+      setCheckLevel('off');
+      try {
+        assert(TestClass.assert.is.string(5));
+        assert(TestClass.check.is('string', 5));
+        assert(!TestClass.is('string', 5));
+      } finally {
+        setCheckLevel('assert');
+      }
+      assert(reporter.entries.length === 0);
+    });
+
+    it('rejects unknown check levels', () => {
+      assertThrows(() => setCheckLevel('loud'), 'check level must be one of assert, check, off');
+    });
+  });
+
+  describe('JSON Schema', () => {
+    const TestClass = withTypeCheckers();
+
+    it('exports object, array, tuple and union specs', () => {
+      const schema = toJSONSchema({
+        name: 'notEmptyString',
+        age: 'integer(0..150)?',
+        tags: ['string'],
+        kind: "'a'|'b'",
+        pos: ['$tuple', 'number', 'number'],
+        parent: ['$or', 'null', { id: 'positiveInteger' }],
+        limit: { $type: 'integer', $default: 10 },
+      });
+      assert(schema.$schema === 'https://json-schema.org/draft/2020-12/schema');
+      assert(schema.type === 'object');
+      assert(schema.required.join() === 'name,tags,kind,pos,parent,limit');
+      const { name, age, tags, kind, pos, parent, limit } = schema.properties;
+      assert(name.type === 'string' && name.minLength === 1);
+      assert(age.type === 'integer' && age.minimum === 0 && age.maximum === 150);
+      assert(tags.items.type === 'string');
+      assert(kind.enum.join() === 'a,b');
+      assert(pos.prefixItems.length === 2 && pos.minItems === 2);
+      assert(parent.anyOf[0].type === 'null' && parent.anyOf[1].properties.id.minimum === 1);
+      assert(limit.default === 10);
+      assert(toTypeScript({ limit: { $type: 'integer', $default: 10 } }) === '{\n  limit: number;\n}');
+      assert(!TestClass.is({ limit: { $type: 'integer', $default: 10 } }, {}));
+      assert(toJSONSchema(['$not', 'null']).not.type === 'null');
+      assert(toJSONSchema('date').format === 'date-time');
+    });
+
+    it('reports constructs that cannot be represented', () => {
+      assertThrows(() => toJSONSchema({ cb: 'function' }), 'cannot represent type "function" at cb');
+      const unsupported = [];
+      const schema = toJSONSchema({ a: v => true, b: 'set<string>' }, { onUnsupported: (what, path) => unsupported.push(`${path}: ${what}`) });
+      assert(unsupported.join() === 'a: function a,b: type "set<>"', unsupported.join());
+      assert(Object.keys(schema.properties.a).length === 0);
+    });
+
+    it('imports JSON Schema documents', () => {
+      const spec = fromJSONSchema({
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: { type: 'string', minLength: 2, pattern: '^[a-z]+$' },
+          role: { enum: ['admin', 'user'] },
+          tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+          pos: { type: 'array', prefixItems: [{ type: 'number' }, { type: 'number' }], items: false },
+          parent: { anyOf: [{ type: 'null' }, { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] }] },
+        },
+        required: ['id', 'name'],
+      });
+      assert(TestClass.is(spec, { id: 1, name: 'ann', role: 'user', tags: ['a', 'b'], pos: [1, 2], parent: { id: 3 } }));
+      assert(TestClass.is(spec, { id: 1, name: 'ann' }));
+      assert(!TestClass.is(spec, { id: 0, name: 'ann' }));
+      assert(!TestClass.is(spec, { id: 1, name: 'A' }));
+      assert(!TestClass.is(spec, { id: 1, name: 'ann', role: 'root' }));
+      assert(!TestClass.is(spec, { id: 1, name: 'ann', tags: ['a', 'a'] }));
+      assert(!TestClass.is(spec, { id: 1, name: 'ann', parent: {} }));
+      assertThrows(() => TestClass.assert.is(spec, { name: 'ann' }, 'user'), 'user.id expected');
+    });
+
+    it('round-trips specs', () => {
+      const spec = { name: 'string', age: 'integer?', tags: ['string'], kind: ['$or', 'null', "'a'|'b'"] };
+      const imported = fromJSONSchema(toJSONSchema(spec));
+      const samples = [{ name: 'a', tags: [], kind: null }, { name: 'a', age: 1.5, tags: [], kind: 'a' }, { name: 'a', tags: [1], kind: 'c' }];
+      assert(samples.every(v => TestClass.is(spec, v) === TestClass.is(imported, v)));
+    });
+
+    it('reports unsupported keywords', () => {
+      assertThrows(() => fromJSONSchema({ properties: { a: { $ref: '#/$defs/a' } } }), 'cannot represent keyword $ref at #/properties/a/$ref');
+      const unsupported = [];
+      assert(fromJSONSchema({ type: 'string', if: {} }, { onUnsupported: what => unsupported.push(what) }) === 'string');
+      assert(unsupported.join() === 'keyword if');
+    });
+  });
+
+  describe('TypeScript Declarations', () => {
+    it('renders specs as TypeScript types', () => {
+      assert(toTypeScript('string|number') === 'string | number');
+      assert(toTypeScript("'a'|'b'") === "'a' | 'b'");
+      assert(toTypeScript('(string|null)[]') === '(string | null)[]');
+      assert(toTypeScript(['$tuple', 'number', 'date']) === '[number, Date]');
+      assert(toTypeScript('map<string, integer>') === 'Map<string, number>');
+      assert(toTypeScript({ id: 'positiveInteger', name: 'string?' }) === '{\n  id: number;\n  name?: string | undefined;\n}');
+    });
+
+    it('maps custom checkers through types', () => {
+      assert(toTypeScript('email', { types: { email: 'string' } }) === 'string');
+      assert(toTypeScript('email') === 'unknown');
+    });
+
+    it('renders named specs as declarations', () => {
+      const dts = toDeclarations({ Id: 'string|number', User: { id: 'Id' } }, { types: { Id: 'Id' } });
+      assert(dts === 'export type Id = string | number;\n\nexport interface User {\n  id: Id;\n}\n', dts);
+    });
+
+    it('refers to the declared specs by name', () => {
+      const dts = toDeclarations({ Tree: { value: 'number', children: ['Tree'] }, Forest: ['Tree'] });
+      assert(dts === 'export interface Tree {\n  value: number;\n  children: Tree[];\n}\n\nexport type Forest = Tree[];\n', dts);
+      assert(toDeclarations({ Id: 'string', User: { id: 'Id' } }, { types: { Id: 'string' } }).includes('id: string;'));
+    });
+  });
+
+  describe('Object Operators', () => {
+    const TestClass = withTypeCheckers();
+    const user = { id: 'integer', name: 'string', address: { city: 'string' } };
+
+    it('rejects unknown keys with $strict and $exact', () => {
+      assert(TestClass.is(['$strict', user], { id: 1, name: 'a', address: { city: 'b', zip: 1 } }));
+      assert(!TestClass.is(['$strict', user], { id: 1, name: 'a', address: { city: 'b' }, admin: true }));
+      assert(!TestClass.is({ $exact: { id: 'integer' } }, { id: 1, name: 'a' }));
+      const { errors } = TestClass.validate(['$strict', { id: 'integer' }], { id: 1, a: 1, b: 2 }, 'user');
+      assert(errors.map(e => e.message).join() === 'user.a expected no key but got [number 1],user.b expected no key but got [number 2]');
+    });
+
+    it('checks undotted keys with $strict', () => {
+      const Shallow = withTypeCheckers({ undot: 'shallow' });
+      const spec = ['$strict', { a: 'number', b: ['$strict', { c: 'number' }] }];
+      assert(Shallow.is(spec, { a: 1, 'b.c': 2 }));
+      assertThrows(() => Shallow.assert.is(spec, { a: 1, 'b.c': 2, 'b.d': 3 }, 'cfg'), 'cfg.b.d expected no key');
+    });
+
+    it('makes every key optional with $partial', () => {
+      assert(TestClass.is(['$partial', user], {}));
+      assert(TestClass.is(['$partial', user], { name: 'a', extra: 1 }));
+      assert(!TestClass.is(['$partial', user], { id: 'a' }));
+      assert(!TestClass.is(['$partial', ['$strict', user]], { extra: 1 }));
+    });
+
+    it('checks keys and values with $record', () => {
+      assert(TestClass.is(['$record', 'number'], { a: 1, 'b.c': 2 }));
+      assert(!TestClass.is(['$record', 'number'], { a: '1' }));
+      assert(!TestClass.is(['$record', 'number'], [1]));
+      assertThrows(() => TestClass.assert.is(['$record', "'a'|'b'", 'number'], { a: 1, c: 2 }, 'scores'), 'scores.c expected \'a\'|\'b\' but got [string "c"]');
+    });
+
+    it('derives specs with $pick, $omit and $extend', () => {
+      assert(TestClass.is(['$pick', user, 'id', 'name'], { id: 1, name: 'a' }));
+      assert(TestClass.is(['$omit', user, ['address']], { id: 1, name: 'a' }));
+      assert(!TestClass.is(['$omit', ['$strict', user], 'address'], { id: 1, name: 'a', address: {} }));
+      const admin = ['$extend', user, { role: "'admin'", id: 'string' }];
+      assert(TestClass.is(admin, { id: 'x', name: 'a', address: { city: 'b' }, role: 'admin' }));
+      assert(!TestClass.is(admin, { id: 1, name: 'a', address: { city: 'b' }, role: 'admin' }));
+      assertThrows(() => TestClass.is(['$pick', 'string', 'length'], 'a'), '$pick: expected an object spec');
+    });
+
+    it('coerces and converts object operators', () => {
+      assert(TestClass.coerce(['$record', 'number'], { a: '1' }).a === 1);
+      assert(Object.keys(TestClass.coerce(['$pick', user, 'id'], { id: '1', name: 'a' }, 'user', { strip: true })).join() === 'id');
+      assert(toJSONSchema(['$strict', { a: 'string' }]).additionalProperties === false);
+      assert(toJSONSchema(['$partial', { a: 'string' }]).required.length === 0);
+      assert(toJSONSchema(['$record', 'number']).additionalProperties.type === 'number');
+      assert(TestClass.is(fromJSONSchema({ type: 'object', additionalProperties: { type: 'number' } }), { a: 1 }));
+      assert(!TestClass.is(fromJSONSchema({ type: 'object', properties: { a: {} }, additionalProperties: false }), { b: 1 }));
+      assert(toTypeScript(['$record', "'a'|'b'", 'number']) === "Record<'a' | 'b', number>");
+      assert(toTypeScript(['$partial', { a: 'string' }]) === '{\n  a?: string | undefined;\n}');
+    });
+  });
+
+  describe('Collection Operators', () => {
+    const TestClass = withTypeCheckers();
+    const messages = (type, value) => TestClass.validate(type, value, 'x').errors.map(e => e.message).join();
+
+    it('checks set entries with $set', () => {
+      assert(TestClass.is(['$set', 'string'], new Set(['a', 'b'])));
+      assert(messages(['$set', 'string'], new Set(['a', 'b', 'c', 4])) === 'x.<3> expected string but got [number 4]');
+      assert(!TestClass.is(['$set', 'string'], ['a']));
+    });
+
+    it('checks map keys and values with $map', () => {
+      assert(TestClass.is(['$map', 'string', 'number'], new Map([['a', 1]])));
+      assert(messages(['$map', 'string', 'number'], new Map([['a', '1'], [2, 2]])) === 'x.a expected number but got [string "1"],x.<1> expected string but got [number 2]');
+      assert(!TestClass.is({ $map: ['string', 'number'] }, { a: 1 }));
+    });
+
+    it('checks any iterable with $iterableOf', () => {
+      function* numbers() { yield 1; yield 'two'; }
+      assert(TestClass.is(['$iterableOf', 'number'], new Float64Array([1, 2])));
+      assert(TestClass.is(['$iterableOf', 'number'], [1, 2]));
+      assert(messages(['$iterableOf', 'number'], numbers()) === 'x.<1> expected number but got [string "two"]');
+      assert(!TestClass.is(['$iterableOf', 'number'], 'abc'));
+      assert(TestClass.is('typedArray', new Uint8Array(2)));
+    });
+
+    it('fails cleanly on the wrong container', () => {
+      for (const value of [null, 1, 'a', {}, new Map()]) {
+        assert(!TestClass.is(['number'], value));
+        assert(!TestClass.is(['$set', 'number'], value));
+      }
+      assertThrows(() => TestClass.assert.is(['string'], 5, 'tags'), 'tags expected string[] but got [number 5]');
+    });
+
+    it('fails [T] on the wrong container in every kind of check', async () => {
+      const memory = createMemoryReporter();
+      const Quiet = withTypeCheckers({ classPrefix: 'Quiet', reporter: memory });
+      for (const value of [null, 1, 'a', {}]) {
+        assert(Quiet.validate(['number'], value).errors.length === 1);
+        assert(!Quiet.check.is(['number'], value));
+        assert(!await Quiet.is.async(['number'], value));
+        assert(!Quiet.is({ list: ['number'] }, { list: value }));
+      }
+      assert(memory.entries.length === 4);
+    });
+
+    it('checks sizes and uniqueness', () => {
+      const tags = { $type: ['string'], $minItems: 1, $maxItems: 3, $unique: true };
+      assert(TestClass.is(tags, ['a', 'b']));
+      assert(messages(tags, []) === 'x expected string[] with at least 1 item but got [array (0)]');
+      assert(messages(tags, ['a', 'b', 'c', 'd']) === 'x expected string[] with at most 3 items but got [array (4)]');
+      assert(messages(tags, ['a', 'b', 'a']) === 'x.2 expected unique item but got [string "a"]');
+      assert(TestClass.is({ $type: ['$set', 'number'], $maxItems: 2 }, new Set([1, 2])));
+      assert(!TestClass.is({ $maxItems: 2 }, 5));
+    });
+
+    it('coerces and converts collections', () => {
+      assert(TestClass.coerce(['$set', 'number'], new Set(['1'])).has(1));
+      assert(TestClass.coerce(['$map', 'string', 'boolean'], new Map([['a', 'true']])).get('a') === true);
+      const schema = toJSONSchema({ $type: ['string'], $minItems: 1, $unique: true });
+      assert(schema.minItems === 1 && schema.uniqueItems === true && schema.items.type === 'string');
+      assertThrows(() => toJSONSchema(['$set', 'string']), 'cannot represent operator $set');
+      assert(toTypeScript(['$map', 'string', ['$set', 'number']]) === 'Map<string, Set<number>>');
+    });
+  });
+
+  describe('Constraints', () => {
+    const TestClass = withTypeCheckers();
+    const messages = (type, value) => TestClass.validate(type, value, 'x').errors.map(e => e.message).join();
+
+    it('checks number bounds and multiples', () => {
+      const percent = { $type: 'integer', $min: 0, $max: 100 };
+      assert(TestClass.is(percent, 0) && TestClass.is(percent, 100));
+      assert(messages(percent, 101) === 'x expected integer <= 100 but got [number 101]');
+      assert(messages({ $min: 1 }, 0) === 'x expected number >= 1 but got [number 0]');
+      assert(!TestClass.is({ $min: 1 }, '5'));
+      assert(TestClass.is({ $multipleOf: 0.5 }, 1.5) && !TestClass.is({ $multipleOf: 2 }, 3));
+      assert(TestClass.is({ $multipleOf: 0.1 }, 0.3) && TestClass.is({ $multipleOf: 0.01 }, 1.15));
+      assert(!TestClass.is({ $multipleOf: 0.1 }, 0.35) && !TestClass.is({ $multipleOf: 0.1 }, Infinity));
+      const price = fromJSONSchema({ type: 'number', multipleOf: 0.1 });
+      assert(TestClass.is(price, 0.3) && !TestClass.is(price, 0.35));
+    });
+
+    it('checks lengths and patterns', () => {
+      assert(TestClass.is({ $type: 'string', $length: 2 }, 'ab'));
+      assert(messages({ $type: 'string', $length: [2, 4] }, 'a') === 'x expected string of length 2..4 but got [string "a"]');
+      assert(TestClass.is({ $length: [1, 2] }, [1]) && !TestClass.is({ $length: [1, 2] }, 5));
+      const slug = { $type: 'string', $pattern: /^[a-z]+$/g };
+      assert(TestClass.is(slug, 'ab') && TestClass.is(slug, 'ab'));
+      assertThrows(() => TestClass.assert.is({ name: slug }, { name: 'A' }, 'post'), 'post.name expected string matching /^[a-z]+$/ but got [string "A"]');
+      assert(TestClass.is({ $pattern: '^\\d+$' }, '12'));
+    });
+
+    it('checks enums and literals', () => {
+      assert(TestClass.is({ $enum: ['a', 1, null] }, null));
+      assert(messages({ $enum: ['a', 1] }, 'b') === "x expected 'a'|1 but got [string \"b\"]");
+      assert(messages({ $literal: 'on' }, 'off') === "x expected 'on' but got [string \"off\"]");
+      assert(TestClass.coerce({ $enum: [1, 2] }, '2') === 2);
+    });
+
+    it('checks formats', () => {
+      assert(TestClass.is({ $format: 'email' }, 'ann@example.com') && !TestClass.is({ $format: 'email' }, 'ann@example'));
+      assert(TestClass.is({ $format: 'uuid' }, '123e4567-e89b-12d3-a456-426614174000'));
+      assert(TestClass.is({ $format: 'url' }, 'https://example.com/a') && !TestClass.is({ $format: 'url' }, 'example'));
+      assert(TestClass.is({ $format: 'iso-date' }, '2024-02-03T10:00Z') && !TestClass.is({ $format: 'iso-date' }, '2024-13-45'));
+      assert(messages({ $type: 'string', $format: 'email' }, 'a') === 'x expected string in email format but got [string "a"]');
+      assertThrows(() => TestClass.is({ $format: 'ipv4' }, '1.2.3.4'), '$format: unknown format "ipv4"');
+    });
+
+    it('converts constraints', () => {
+      const schema = toJSONSchema({ $type: 'string', $length: [1, 5], $pattern: '^a' });
+      assert(schema.minLength === 1 && schema.maxLength === 5 && schema.pattern === '^a');
+      assert(toJSONSchema({ $enum: ['a', 'b'] }).enum.join() === 'a,b');
+      assertThrows(() => toJSONSchema({ $pattern: /a/i }), 'cannot represent constraint $pattern');
+      assert(toTypeScript({ $type: 'string', $enum: ['a', 'b'] }) === "'a' | 'b'");
+    });
+  });
+
+  describe('Named Schemas', () => {
+    const withTrees = createWithTypeCheckers({
+      TreeNode: { label: 'string', children: ['TreeNode'], parent: 'TreeNode?' },
+      Expr: ['$or', 'number', ['$tuple', "'+'|'*'", 'Expr', 'Expr']],
+      Person: { name: 'string', friends: 'Person[]' },
+      even: v => v % 2 === 0,
+    });
+    const TestClass = withTrees();
+    const leaf = label => ({ label, children: [] });
+
+    it('checks self-referencing schemas by name', () => {
+      assert(TestClass.is('TreeNode', { label: 'a', children: [leaf('b'), { label: 'c', children: [leaf('d')] }] }));
+      assert(TestClass.is(['TreeNode'], [leaf('a')]));
+      const { errors } = TestClass.validate('TreeNode', { label: 'a', children: [leaf('b'), { label: 'c', children: [leaf(1)] }] }, 'menu');
+      assert(errors.map(e => e.message).join() === 'menu.children.1.children.0.label expected string but got [number 1]');
+      assertThrows(() => TestClass.assert.is.TreeNode({ label: 'a', children: [{}] }, 'menu'), 'menu.children.0.label expected string');
+    });
+
+    it('checks named tuples and unions', () => {
+      assert(TestClass.is('Expr', ['+', 1, ['*', 2, 3]]));
+      assert(!TestClass.is('Expr', ['+', 1, ['-', 2, 3]]));
+      assert(TestClass.is('Expr|null', null) && TestClass.is.even(2));
+    });
+
+    it('terminates on cyclic values', () => {
+      const root = leaf('root');
+      root.children.push(root);
+      root.parent = root;
+      assert(TestClass.is('TreeNode', root));
+      const ann = { name: 'ann', friends: [] };
+      ann.friends.push(ann, { name: 2, friends: [ann] });
+      assert(!TestClass.is('Person', ann));
+      assert(TestClass.coerce('TreeNode', root).parent === root);
+    });
+
+    it('converts named schemas to $defs', () => {
+      const schema = toJSONSchema(['TreeNode'], { schemas: { TreeNode: { label: 'string', children: ['TreeNode'] } } });
+      assert(schema.items.$ref === '#/$defs/TreeNode');
+      assert(schema.$defs.TreeNode.properties.children.items.$ref === '#/$defs/TreeNode');
+    });
+  });
+
+  describe('Discriminated Unions', () => {
+    const TestClass = withTypeCheckers();
+    const event = { $union: { key: 'kind', cases: { click: { x: 'number', y: 'number' }, key: { code: 'string' } } } };
+    const messages = (type, value) => TestClass.validate(type, value, 'event').errors.map(e => e.message).join();
+
+    it('checks the case named by the tag', () => {
+      assert(TestClass.is(event, { kind: 'click', x: 1, y: 2 }));
+      assert(TestClass.is(['$union', { key: 'kind', cases: { key: { code: 'string' } } }], { kind: 'key', code: 'a' }));
+      assert(!TestClass.is(event, { kind: 'key', x: 1, y: 2 }));
+      assert(messages(event, { kind: 'click', x: 1, y: 'a' }) === 'event.y expected number but got [string "a"]');
+      assert(messages({ log: [event] }, { log: [{ kind: 'key', code: 1 }] }) === 'event.log.0.code expected string but got [number 1]');
+    });
+
+    it('reports unknown tags and non-objects', () => {
+      assert(messages(event, { kind: 'scroll' }) === "event.kind expected 'click'|'key' but got [string \"scroll\"]");
+      assert(messages(event, {}) === "event.kind expected 'click'|'key' but got [undefined]");
+      assert(messages(event, 5) === 'event expected object but got [number 5]');
+    });
+
+    it('coerces and converts unions', () => {
+      assert(TestClass.coerce(event, { kind: 'click', x: '1', y: '2' }).x === 1);
+      const schema = toJSONSchema(event);
+      assert(schema.oneOf[1].properties.kind.const === 'key' && schema.oneOf[1].required.join() === 'kind,code');
+      assert(toTypeScript(['$union', { key: 'kind', cases: { a: 'object' } }]) === "{ kind: 'a' } & object");
+    });
+
+    it('accepts the tag in strict cases', () => {
+      const strict = ['$union', { key: 'kind', cases: { click: ['$strict', { x: 'number' }], key: { $exact: { code: 'string' } } } }];
+      assert(TestClass.is(strict, { kind: 'click', x: 1 }));
+      assert(TestClass.is(strict, { kind: 'key', code: 'a' }));
+      assert(messages(strict, { kind: 'click', x: 1, y: 2 }) === 'event.y expected no key but got [number 2]');
+      assert(TestClass.coerce(strict, { kind: 'click', x: '1', y: 2 }, '', { strip: true }).kind === 'click');
+      for (const value of TestClass.samples(strict, 5, { seed: 1 })) assert(TestClass.is(strict, value));
+    });
+  });
+
+  describe('Spec Rendering', () => {
+    const TestClass = withTypeCheckers();
+
+    it('renders composite specs compactly', () => {
+      assert(formatSpec({ name: 'string', tags: ['string'] }) === '{ name: string, tags: string[] }');
+      assert(formatSpec(['$tuple', 'string', 'number']) === '[string, number]');
+      assert(formatSpec(['$not', 'null|undefined']) === 'not (null|undefined)');
+      assert(formatSpec(['$or', { a: 'string' }, 'null']) === '{ a: string }|null');
+      assert(formatSpec(['$and', 'a|b', 'c']) === '(a|b) & c');
+      assert(formatSpec(['$map', 'string', ['$set', 'number']]) === 'map<string, set<number>>');
+      assert(formatSpec({ $type: 'integer', $min: 0, $max: 9 }) === 'integer >= 0, <= 9');
+    });
+
+    it('shows functions by name and truncates long specs', () => {
+      const isEven = v => v % 2 === 0;
+      assert(formatSpec({ n: isEven }) === '{ n: isEven }');
+      const long = formatSpec(Object.fromEntries(Array.from({ length: 30 }, (_, i) => ['key' + i, 'string'])), { maxLength: 40 });
+      assert(long.length === 40 && long.endsWith('...'));
+    });
+
+    it('renders specs in messages', () => {
+      assertThrows(() => TestClass.assert.is.not({ a: 'number' }, { a: 1 }, 'v'), 'v expected not { a: number } but got [object Object]');
+      assertThrows(() => TestClass.assert.is(['$tuple', 'string', 'number'], 'a', 'pair'), 'pair expected [string, number] but got');
+    });
+
+    it('names $or and $not specs in messages from inside a walk', () => {
+      assertThrows(() => TestClass.assert.is(['$or', 'null', 'string'], 5, 'v'), 'v expected null|string but got [number 5]');
+      assertThrows(() => TestClass.assert.is(['$or', 'null'], 5, 'v'), 'v expected null but got [number 5]');
+      assertThrows(() => TestClass.assert.is({ a: ['$not', 'null', 'undefined'] }, { a: null }, 'v'), 'v.a expected not (null|undefined) but got [null]');
+      const error = TestClass.validate({ id: ['$or', 'number', 'string'] }, { id: true }).errors[0];
+      assert(error.expected[0] === '$or' && error.expected.length === 3);
+      const { errors: [failure] } = TestClass.validate({ id: { $or: ['number', 'string'] } }, { id: true });
+      assert(formatSpec(failure.expected) === 'number|string');
+    });
+
+    it('adds diffs of the failing path with the diff option', () => {
+      const Diffing = withTypeCheckers({ diff: true });
+      const spec = { name: 'string', address: { city: 'string' } };
+      const { errors: [error] } = Diffing.validate(spec, { name: 'ann', address: { city: 1 } }, 'user');
+      assert(error.message.split('\n').join('|') === 'user.address.city expected string but got [number 1]|  {|    name: [string "ann"]|    address: {|-     city: string|+     city: [number 1]|    }|  }', error.message);
+      assertThrows(() => Diffing.assert.is(spec, { name: 'ann', address: {} }, 'user'), '-     city: string\n+     city: [undefined]');
+      assert(!TestClass.validate(spec, { address: {} }).errors[0].message.includes('\n'));
+    });
+  });
+
+  describe('Async Checks', () => {
+    const taken = new Set(['ann']);
+    const TestClass = createWithTypeCheckers({ usernameFree: async name => !taken.has(name) })();
+    const later = (value, ms = 1) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+    it('awaits async checkers', async () => {
+      assert(await TestClass.is.async('usernameFree', 'bob'));
+      assert(!await TestClass.is.async({ name: 'usernameFree' }, { name: 'ann' }));
+      assert(!await TestClass.is.async({ name: 'usernameFree', age: 'number' }, { name: 'bob', age: 'x' }));
+      assert(await TestClass.is.async({ name: v => Promise.resolve(v.length > 1) }, { name: 'bo' }));
+    });
+
+    it('rejects with paths from assert.is.async', async () => {
+      await assertRejects(() => TestClass.assert.is.async({ user: { name: 'usernameFree' } }, { user: { name: 'ann' } }, 'form'), 'form.user.name expected usernameFree but got [string "ann"]');
+      const memory = createMemoryReporter();
+      const Checked = createWithTypeCheckers({ usernameFree: async name => !taken.has(name) })({ reporter: memory });
+      assert(!await Checked.check.is.async('usernameFree', 'ann', 'name'));
+      assert(memory.messages('warn').join() === 'name expected usernameFree but got [string "ann"]');
+    });
+
+    it('checks resolved values with $resolves', async () => {
+      assert(await TestClass.is.async(['$resolves', 'number'], later(1)));
+      assert(!await TestClass.is.async(['$resolves', 'number'], later('1')));
+      await assertRejects(() => TestClass.assert.is.async({ user: ['$resolves', { name: 'usernameFree' }] }, { user: later({ name: 'ann' }) }, 'data'), 'data.user.name expected usernameFree');
+      assert(TestClass.is(['$resolves', 'number'], later(1)) && !TestClass.is(['$resolves', 'number'], 1));
+    });
+
+    it('settles deferred checks after a synchronous failure', async () => {
+      const Store = createWithTypeCheckers({ slowFail: async () => { await later(null, 5); throw new Error('db down'); } })();
+      assert(!await Store.is.async({ u: 'slowFail', a: 'number' }, { u: 'x', a: 'nope' }));
+      await assertRejects(() => Store.assert.is.async({ u: 'slowFail', a: 'number' }, { u: 'x', a: 'nope' }, 'form'), 'form.a expected number');
+      await assertRejects(() => Store.is.async({ u: 'slowFail' }, { u: 'x' }), 'db down');
+      // lets the abandoned checks reject, which must not crash the run
+      await later(null, 20);
+    });
+
+    it('fails $resolves on rejected promises', async () => {
+      const rejected = () => Promise.reject(new Error('gone'));
+      assert(!await TestClass.is.async(['$resolves', 'number'], rejected()));
+      await assertRejects(() => TestClass.assert.is.async({ user: ['$resolves', 'number'] }, { user: rejected() }, 'data'), 'data.user expected $resolves(number) but got [object Error]');
+    });
+
+    it('refuses async checkers in synchronous checks', () => {
+      assertThrows(() => TestClass.is('usernameFree', 'bob'), 'usernameFree is asynchronous, check it with is.async()');
+      assertThrows(() => TestClass.is('usernameFree|number', 'bob'), 'usernameFree|number is asynchronous');
+      assertThrows(() => TestClass.is('usernameFree[]', ['bob']), 'usernameFree[] is asynchronous');
+      assertThrows(() => TestClass.is('map<string, usernameFree>', new Map([['a', 'bob']])), 'is asynchronous');
+    });
+
+    it('waits for async checkers inside type expressions', async () => {
+      assert(!await TestClass.is.async('usernameFree|number', 'ann'));
+      assert(await TestClass.is.async('usernameFree|number', 'zed'));
+      assert(await TestClass.is.async('number|usernameFree', 1));
+      assert(!await TestClass.is.async('usernameFree[]', ['zed', 'ann']));
+      assert(await TestClass.is.async('usernameFree[]', ['zed']));
+      assert(!await TestClass.is.async('usernameFree?', 'ann') && await TestClass.is.async('usernameFree?', undefined));
+      assert(!await TestClass.is.async('set<usernameFree>', new Set(['ann'])));
+      assert(await TestClass.is.async('map<string, usernameFree>', new Map([['a', 'zed']])));
+      await assertRejects(() => TestClass.assert.is.async({ names: 'usernameFree[]' }, { names: ['ann'] }, 'form'), 'form.names expected usernameFree[]');
+    });
+
+    it('keeps concurrent checks apart', async () => {
+      const results = await Promise.all([TestClass.is.async('usernameFree', 'ann'), TestClass.is.async('usernameFree', 'zed')]);
+      assert(results.join() === 'false,true');
+    });
+  });
+
+  describe('Standalone Checkers', () => {
+    it('checks without a class', () => {
+      const check = createChecker({ checkers: { port: v => Number.isInteger(v) && v > 0 } });
+      assert(check.is.port(80) && !check.is({ port: 'port' }, { port: 0 }));
+      assertThrows(() => check.assert.is({ port: 'port' }, { port: 0 }, 'server'), 'server.port expected port but got [number 0]');
+      assert(check.validate(['string'], ['a', 1]).errors.length === 1);
+    });
+
+    it('prefixes messages', () => {
+      const memory = createMemoryReporter();
+      const check = createChecker({ prefix: 'config', reporter: memory });
+      try {
+        check.assert.is.string(1, 'host');
+      } catch (e) {
+        assert(e.message === 'config host expected string but got [number 1]' && e.prefix === 'config');
+      }
+      check.check.is.number('x', 'port');
+      check.warn('careful');
+      assert(memory.messages().join() === 'config port expected number but got [string "x"],config');
+    });
+
+    it('derives child checkers with nested prefixes', () => {
+      const memory = createMemoryReporter();
+      let request = 1;
+      const db = createChecker({ prefix: 'config', reporter: memory }).child('db');
+      const query = db.child(() => `#${request}`);
+      assertThrows(() => db.assert.is.string(1, 'url'), 'config db url expected string');
+      request = 2;
+      query.check.is.number('x', 'timeout');
+      assert(memory.entries[0].prefix === 'config db #2');
+      assertThrows(() => query.throw('closed'), 'config db #2 closed');
+    });
+  });
+
+  describe('Runtime Guards', () => {
+    class Service extends withTypeCheckers({ classPrefix: 'Service' }) {}
+    const service = new Service();
+    const spec = { retries: 'integer', hosts: ['string'], db: { name: 'string', pool: ['$tuple', 'number', 'number'] }, note: 'string?' };
+    const load = () => ({ retries: 1, hosts: ['a'], db: { name: 'main', pool: [1, 4] } });
+
+    it('checks the initial value', () => {
+      assertThrows(() => service.guard(spec, { ...load(), retries: 'x' }, 'config'), 'config.retries expected integer');
+      assert(service.guard('string', 'a') === 'a');
+    });
+
+    it('rejects sets and deletes that break the spec', () => {
+      const config = service.guard(spec, load(), 'config');
+      assertThrows(() => { config.retries = 'many'; }, 'Service config.retries expected integer but got [string "many"]');
+      assertThrows(() => { delete config.retries; }, 'config.retries expected integer but got [undefined]');
+      config.retries = 3;
+      config.note = 'ok';
+      delete config.note;
+      assert(config.retries === 3 && !('note' in config));
+    });
+
+    it('checks array mutations', () => {
+      const config = service.guard(spec, load(), 'config');
+      assertThrows(() => config.hosts.push(1), 'config.hosts.1 expected string but got [number 1]');
+      config.hosts.push('b');
+      config.hosts.splice(0, 1, 'x', 'y');
+      assertThrows(() => config.hosts.splice(0, 1, 2), 'config.hosts.0 expected string');
+      assert(config.hosts.join() === 'x,y,b');
+      const tags = service.guard({ $type: ['string'], $minItems: 1 }, ['a'], 'tags');
+      assertThrows(() => tags.pop(), 'tags expected string[] with at least 1 item');
+      assert(tags.length === 1);
+    });
+
+    it('guards nested objects lazily with full paths', () => {
+      const config = service.guard(spec, load(), 'config');
+      assert(config.db === config.db);
+      assertThrows(() => { config.db.name = 2; }, 'config.db.name expected string');
+      assertThrows(() => { config.db.pool[1] = 'x'; }, 'config.db.pool.1 expected number');
+      config.db = { name: 'other', pool: [0, 0] };
+      assertThrows(() => { config.db.name = null; }, 'config.db.name expected string');
+    });
+
+    it('keeps whole-object rules', () => {
+      const point = service.guard(['$strict', { x: 'number' }], { x: 1 }, 'point');
+      assertThrows(() => { point.y = 2; }, 'point.y expected no key but got [number 2]');
+      const shapes = service.guard({ $or: [{ kind: "'circle'", r: 'number' }, { kind: "'square'", side: 'number' }] }, { kind: 'circle', r: 1 });
+      shapes.r = 2;
+      assertThrows(() => { shapes.r = 'big'; }, 'expected');
+    });
+
+    it('checks only the changed entry of arrays and records', () => {
+      const checked = [];
+      const Counting = createWithTypeCheckers({ Tag: v => (checked.push(v), typeof v === 'string') })();
+      const tags = new Counting().guard(['Tag'], [], 'tags');
+      for (const tag of ['a', 'b', 'c']) tags.push(tag);
+      assert(checked.join() === 'a,b,c', checked.join());
+      assertThrows(() => tags.push(1), 'tags.3 expected Tag but got [number 1]');
+      tags.length = 1;
+      delete tags[0];
+      const scores = service.guard(['$record', "'a'|'b'", 'number'], { a: 1 }, 'scores');
+      scores.b = 2;
+      assertThrows(() => { scores.c = 3; }, "scores.c expected 'a'|'b' but got [string \"c\"]");
+      assertThrows(() => { scores.a = 'x'; }, 'scores.a expected number');
+      delete scores.a;
+      assert(Object.keys(scores).join() === 'b');
+    });
+
+    it('leaves dates, maps, sets and class instances unguarded', () => {
+      class Point { #x = 1; get x() { return this.#x; } }
+      const value = { d: new Date(0), m: new Map([['a', 1]]), s: new Set([1]), p: new Point() };
+      const held = service.guard({ d: 'date', m: ['$map', 'string', 'number'], s: ['$set', 'number'], p: { x: 'number' } }, value, 'held');
+      assert(held.d.getTime() === 0);
+      assert(held.m.get('a') === 1);
+      assert(held.s.has(1));
+      assert(held.p.x === 1);
+      assert(held.d === value.d);
+      assert(service.guard('date', value.d) === value.d);
+      assertThrows(() => { held.d = 1; }, 'held.d expected date');
+    });
+
+    it('reports through check mode and makes the change', () => {
+      const memory = createMemoryReporter();
+      class Lenient extends withTypeCheckers({ reporter: memory }) {}
+      const config = new Lenient().check.guard(spec, load(), 'config');
+      config.db.name = 5;
+      assert(config.db.name === 5);
+      assert(memory.messages().join() === 'config.db.name expected string but got [number 5]');
+    });
+  });
+
+  describe('Paths', () => {
+    const Plain = withTypeCheckers();
+    const plain = new Plain();
+
+    it('escapes keys that contain dots', () => {
+      assertThrows(() => plain.assert.is({ 'file.name': 'string' }, { 'file.name': 1 }, 'upload'), 'upload["file.name"] expected string');
+      assertThrows(() => plain.assert.is(['$record', 'number'], { 'a.b': 'x' }), '["a.b"] expected number');
+    });
+
+    it('keeps keys typed on errors and failures', () => {
+      try {
+        plain.assert.is({ items: [{ name: 'string' }] }, { items: [{ name: 'a' }, { name: 2 }] }, 'order');
+      } catch (e) {
+        assert(e.path === 'order.items.1.name');
+        assert(e.keys.length === 3 && e.keys[0] === 'items' && e.keys[1] === 1 && e.keys[2] === 'name');
+      }
+      const { errors } = plain.validate({ 'a.b': ['number'] }, { 'a.b': [1, 'x'] });
+      assert(errors[0].path === '["a.b"].1' && errors[0].keys[1] === 1);
+    });
+
+    it('renders JSON Pointers', () => {
+      const Pointer = withTypeCheckers({ pathFormat: 'pointer' });
+      const pointer = new Pointer();
+      assertThrows(() => pointer.assert.is({ items: [{ 'a/b': 'string' }] }, { items: [{ 'a/b': 1 }] }), '/items/0/a~1b expected string');
+      assertThrows(() => pointer.assert.is({ n: 'number' }, { n: 'x' }, 'body'), 'body/n expected number');
+      assert(pointer.validate({ 'm~': 'number' }, { 'm~': 'x' }).errors[0].path === '/m~0');
+    });
+
+    it('accepts a path array as the description', () => {
+      assertThrows(() => plain.assert.is('number', 'x', ['config', 'db', 'port']), 'config.db.port expected number');
+      assertThrows(() => plain.assert.is.number('x', ['', 'hosts', 0]), 'hosts.0 expected number');
+    });
+
+    it('undots only the listed keys', () => {
+      const Listed = withTypeCheckers({ undot: ['db.host'] });
+      const listed = new Listed();
+      assert(listed.is({ db: { host: 'string' }, 'file.name': 'string' }, { 'db.host': 'h', 'file.name': 'f' }));
+      assert(!listed.is({ file: { name: 'string' } }, { 'file.name': 'f' }));
+    });
+
+    it('sets undot per spec with $undot', () => {
+      const Shallow = withTypeCheckers({ undot: 'shallow' });
+      const shallow = new Shallow();
+      const spec = { db: { host: 'string' }, headers: ['$undot', false, { 'x.trace': 'string' }] };
+      assert(shallow.is(spec, { 'db.host': 'h', headers: { 'x.trace': 't' } }));
+      assertThrows(() => shallow.assert.is(spec, { db: { host: 'h' }, headers: { 'x.trace': 1 } }), 'headers["x.trace"] expected string');
+      assert(plain.is({ $undot: ['shallow', { a: { b: 'number' } }] }, { 'a.b': 1 }));
+      assert(shallow.coerce(spec, { 'db.host': 'h', headers: { 'x.trace': 't' } }).headers['x.trace'] === 't');
+      assert(formatSpec(['$undot', false, { a: 'number' }]) === '{ a: number }');
+    });
+  });
+
+  describe('Value Formatting', () => {
+    class User {
+      constructor() {
+        this.name = 'ann';
+        this.password = 'hunter2';
+        this.tags = ['a', 'b'];
+      }
+    }
+
+    it('previews values down to a depth and width', () => {
+      const format = createValueFormatter({ depth: 2, width: 2 });
+      assert(format(new User()) === 'User { name: [string "ann"], password: [string "hunter2"], ... 1 more }');
+      assert(format([1, [2, [3]]]) === '[[number 1], [[number 2], [array (1)]]]');
+      assert(format(new Map([['a', new Set([1])]])) === 'Map(1) { [string "a"] => Set(1) { [number 1] } }');
+      assert(format(new Date(0)) === '[object Date]' && format({}) === '{}');
+      assert(createValueFormatter()({ a: 1 }) === '[object Object]');
+    });
+
+    it('shows cycles', () => {
+      const node = { id: 1 };
+      node.next = node;
+      assert(createValueFormatter({ depth: 3 })(node) === '{ id: [number 1], next: [circular] }');
+    });
+
+    it('uses the formatter from options in messages', () => {
+      const check = createChecker({ formatValue: { depth: 1 } });
+      assertThrows(() => check.assert.is('string', { a: 1 }, 'x'), 'x expected string but got { a: [number 1] }');
+      const json = createChecker({ formatValue: value => JSON.stringify(value) });
+      assertThrows(() => json.assert.is('string', [1, 2]), 'expected string but got [1,2]');
+    });
+
+    it('redacts fields in messages, warnings and error data', () => {
+      const memory = createMemoryReporter();
+      const check = createChecker({ formatValue: { depth: 1 }, redact: ['password', /token/i], reporter: memory });
+      const user = new User();
+      try {
+        check.assert.is({ user: 'string' }, { user }, 'body');
+      } catch (e) {
+        assert(e.message.includes('password: [redacted]') && !e.message.includes('hunter2'));
+        assert(e.actualValue instanceof User && e.actualValue.password === '[redacted]' && user.password === 'hunter2');
+      }
+      check.check.is({ apiToken: 'number' }, { apiToken: 'abc' }, 'req');
+      assert(memory.messages()[0] === 'req.apiToken expected number but got [redacted]');
+      assert(memory.entries[0].failure.got === '[redacted]');
+      assert(check.validate({ n: 'string' }, { n: { token: 't', id: 2 } }).errors[0].got.token === '[redacted]');
+    });
+
+    it('redacts before custom formatters', () => {
+      const check = createChecker({ formatValue: value => JSON.stringify(value), redact: key => key.startsWith('secret') });
+      assertThrows(() => check.assert.is('string', { secretKey: 'k', a: 1 }), 'expected string but got {"secretKey":"[redacted]","a":1}');
+    });
+
+    it('redacts values below a redacted key', () => {
+      const memory = createMemoryReporter();
+      const check = createChecker({ redact: ['secret'], reporter: memory, diff: true });
+      const value = { secret: { token: 'abc' }, other: { secret: 1 } };
+      const { errors: [failure] } = check.validate({ secret: { token: 'number' } }, value, 'v');
+      assert(failure.path === 'v.secret.token' && failure.got === '[redacted]');
+      assert(failure.message.startsWith('v.secret.token expected number but got [redacted]') && !failure.message.includes('abc'), failure.message);
+      check.check.is({ secret: { token: 'number' } }, value, 'v');
+      assert(memory.entries[0].failure.got === '[redacted]' && !memory.entries[0].message.includes('abc'));
+      try {
+        check.assert.is({ secret: { token: 'number' } }, value, 'v');
+      } catch (e) {
+        assert(e.actualValue === '[redacted]' && !e.message.includes('abc'));
+      }
+    });
+  });
+
+  describe('Composing Mixins', () => {
+    const port = v => Number.isInteger(v) && v > 0;
+    const memory = createMemoryReporter();
+    class Service extends withTypeCheckers({ classPrefix: 'Service', instancePrefix: 'id', reporter: memory }) {
+      constructor(id) {
+        super();
+        this.id = id;
+      }
+    }
+    class Server extends createWithTypeCheckers({ port, string: v => v === 'x' })(Service, { classPrefix: 'Server' }) {}
+
+    it('merges checkers and prefixes across layers', () => {
+      const server = new Server('#1');
+      assert(server.is.port(80) && server.is.string('a') && !server.is.string(1));
+      assertThrows(() => server.assert.is.port(0, 'port'), 'Server Service #1 port expected port but got [number 0]');
+      assertThrows(() => Server.assert.is({ p: 'port' }, { p: 0 }), 'Server Service p expected port');
+      assert(!('port' in new Service(2).is));
+    });
+
+    it('keeps options of inner layers unless outer ones set them', () => {
+      const Pointer = withTypeCheckers(Service, { pathFormat: 'pointer' });
+      const instance = new Pointer('#2');
+      instance.check.is({ a: 'number' }, { a: 'x' }, 'body');
+      assert(memory.messages().at(-1) === 'Service #2 body/a expected number but got [string "x"]');
+      assertThrows(() => withTypeCheckers(Server).assert.is.port(0), 'Server Service expected port');
+    });
+
+    it('adds checkers from static fields', () => {
+      class Even extends Server {
+        static checkers = { even: v => v % 2 === 0 };
+      }
+      const even = new Even('#3');
+      assert(even.is.even(2) && even.is('even[]', [2, 4]) && even.is.port(1));
+      assertThrows(() => even.assert.is.even(3, 'n'), 'Server Service #3 n expected even');
+    });
+
+    it('gives subclasses with static checkers their own static context', () => {
+      class User extends withTypeCheckers({ classPrefix: 'User' }) {
+        static checkers = { even: v => v % 2 === 0 };
+      }
+      class Admin extends User {}
+      assert(User.is.even(2) && User.is('even', 2) && Admin.is('even[]', [2, 4]));
+      assertThrows(() => User.assert.is.even(3, 'n'), 'User n expected even but got [number 3]');
+      assert(!('even' in withTypeCheckers().is) && !('even' in Server.is));
+      class Clash extends Server {
+        static checkers = { port: () => true };
+      }
+      memory.clear();
+      assert(!Clash.is.port(0));
+      new Clash(1);
+      assert(memory.entries.filter(e => e.level === 'warn').length === 1);
+    });
+
+    it('warns on conflicting checker names and keeps the first', () => {
+      memory.clear();
+      class Clash extends Server {
+        static checkers = { port: () => true };
+      }
+      new Clash(1);
+      new Clash(2);
+      const warnings = memory.entries.filter(e => e.level === 'warn').map(e => e.args.join());
+      assert(warnings.join('|') === 'checker "port" is already defined, the first definition is kept');
+      assert(!new Clash(3).is.port(0));
+      memory.clear();
+      class Layered extends createWithTypeCheckers({ port: () => true })(Server) {}
+      assert(memory.entries.length === 1 && memory.entries[0].args[0] === 'checker "port" is already defined, the first definition is kept');
+      assert(!new Layered(1).is.port(0) && memory.entries.length === 1);
+    });
+  });
+
+  describe('Sample Generation', () => {
+    const checker = createChecker();
+    const User = {
+      name: 'string(1..10)',
+      age: 'integer(0..120)',
+      email: { $type: 'string', $format: 'email' },
+      role: "'admin'|'user'",
+      tags: ['string'],
+      nick: 'string?',
+    };
+
+    it('samples every default checker', () => {
+      for (const name of Object.keys(defaultTypeCheckers)) {
+        assert(samples(name, 10).every(v => checker.is(name, v)), name);
+      }
+    });
+
+    it('samples specs that pass them', () => {
+      const specs = [
+        User,
+        ['$or', 'number', ['$tuple', 'string', 'boolean']],
+        ['$strict', { a: 'number', b: 'string?' }],
+        ['$partial', { a: 'number' }],
+        ['$record', 'positiveInteger'],
+        ['$union', { key: 'kind', cases: { a: { x: 'number' }, b: { y: 'string' } } }],
+        ['$and', { a: 'number' }, { b: 'string' }],
+        'map<string, number>|set<boolean>',
+        { $type: 'integer', $min: 5, $max: 9 },
+        { $type: 'number', $multipleOf: 5 },
+        { $type: ['string'], $minItems: 2, $maxItems: 4 },
+        { $enum: ['red', 'green'] },
+      ];
+      for (const spec of specs) assert(samples(spec, 20).every(v => checker.is(spec, v)), formatSpec(spec));
+    });
+
+    it('gives the same values for the same seed', () => {
+      assert(JSON.stringify(samples(User, 5, { seed: 7 })) === JSON.stringify(samples(User, 5, { seed: 7 })));
+      assert(JSON.stringify(sample(User, { seed: 'user' })) === JSON.stringify(sample(User, { seed: 'user' })));
+      assert(JSON.stringify(samples(User, 5, { seed: 7 })) !== JSON.stringify(samples(User, 5, { seed: 8 })));
+    });
+
+    it('samples named schemas and custom checkers', () => {
+      const c = createChecker({
+        checkers: {
+          Tree: { value: 'number', children: ['Tree'] },
+          port: v => Number.isInteger(v) && v > 0 && v < 65536,
+          even: Object.assign(v => v % 2 === 0, { sample: r => r.int(0, 50) * 2 }),
+        },
+      });
+      assert(c.samples('Tree', 10).every(v => c.is('Tree', v)));
+      assert(c.samples('port', 10).every(v => c.is('port', v)));
+      assert(c.samples('even', 10).every(v => c.is('even', v)));
+    });
+
+    it('throws for specs it cannot sample', () => {
+      assertThrows(() => sample({ $type: 'string', $pattern: /^z{5}$/ }), 'cannot sample string matching');
+      assertThrows(() => sample('nope'), 'unknown type "nope"');
+    });
+
+    it('makes near misses that fail the spec', () => {
+      const invalid = invalidSamples(User, { seed: 3 });
+      assert(invalid.length > 10 && invalid.every(v => !checker.is(User, v)));
+      assert(invalid.some(v => v && typeof v === 'object' && !('name' in v) && 'age' in v));
+      assert(invalid.some(v => Array.isArray(v?.tags) && v.tags.some(t => typeof t !== 'string')));
+      assert(invalidSamples(['$strict', { a: 'number' }]).some(v => v && Object.keys(v).length === 2));
+      const range = invalidSamples({ $type: 'integer', $min: 5, $max: 9 });
+      assert(range.includes(4) && range.includes(10));
+      assert(JSON.stringify(invalidSamples(User, { seed: 3 })) === JSON.stringify(invalid));
+    });
+  });
+
+  describe('Instrumentation', () => {
+    class Account extends withTypeCheckers({ instrument: true, reporter: createMemoryReporter() }) {
+      setEmail(email) {
+        this.assert.is.string(email, 'email');
+      }
+      setAge(age) {
+        return this.check.is('integer', age, 'age');
+      }
+    }
+    const find = (method, desc) => getTypeCheckStats().checks.find(c => c.class === 'Account' && c.method === method && c.desc === desc);
+
+    it('counts calls and failures per class, method and description', () => {
+      resetTypeCheckStats();
+      const account = new Account();
+      account.setEmail('a@b.c');
+      assertThrows(() => account.setEmail(1), 'email expected string');
+      account.setAge(30);
+      const email = find('assert.is', 'email');
+      assert(email.calls === 2 && email.failures === 1 && email.spec === 'string' && email.time >= 0);
+      assert(find('check.is', 'age').calls === 1);
+    });
+
+    it('flags checks that never failed or never passed', () => {
+      resetTypeCheckStats();
+      const account = new Account();
+      account.setAge(1);
+      account.setAge(2);
+      account.is('string', 1, 'name');
+      const { neverFailed, neverPassed } = getTypeCheckStats();
+      assert(neverFailed.length === 1 && neverFailed[0].desc === 'age');
+      assert(neverPassed.length === 1 && neverPassed[0].desc === 'name');
+      assert(JSON.parse(dumpTypeCheckStats()).checks.length === 2);
+    });
+
+    it('records static and instance checks under the same class', () => {
+      resetTypeCheckStats();
+      class Ledger extends withTypeCheckers({ classPrefix: 'Ledg', instrument: true }) {}
+      Ledger.is('number', 1, 'total');
+      new Ledger().is('number', 2, 'total');
+      const [total] = getTypeCheckStats().checks;
+      assert(getTypeCheckStats().checks.length === 1 && total.class === 'Ledger' && total.calls === 2);
+    });
+
+    it('records nothing without the option', () => {
+      resetTypeCheckStats();
+      class Quiet extends withTypeCheckers() {}
+      new Quiet().is.string('a', 'name');
+      assert(getTypeCheckStats().checks.length === 0);
+    });
+
+    it('records compiled, async and standalone checks', async () => {
+      // runs last, as later tests would reset the stats while it awaits
+      resetTypeCheckStats();
+      const account = new Account();
+      createChecker({ prefix: 'config', instrument: true }).is('number', 1, 'port');
+      const isTags = account.compile(['string']);
+      isTags(['a'], 'tags');
+      isTags.check([1], 'tags');
+      await account.is.async({ n: 'number' }, { n: 'x' }, 'body');
+      assert(find('is', 'tags').calls === 1 && find('check.is', 'tags').failures === 1);
+      assert(find('is', 'body').spec === '{ n: number }' && find('is', 'body').failures === 1);
+      assert(getTypeCheckStats().checks.some(c => c.class === 'config' && c.desc === 'port'));
+    });
+  });
+
 });
 
 // Run tests
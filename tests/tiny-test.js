@@ -1,14 +1,14 @@
 /*  Zero-dependency micro test runner  (C) 2025 – public domain  */
 const RESET = '\x1b[0m', RED = '\x1b[31m', GREEN = '\x1b[32m', YELLOW = '\x1b[33m', DIM = '\x1b[2m';
 
-let depth = 0, total = 0, failed = 0, failures = [], onlyMode = false, onlys = [];
+let depth = 0, total = 0, failed = 0, failures = [], onlyMode = false, onlys = [], pending = [];
 
 /* ---------- helpers ---------- */
-const indent = () => '  '.repeat(depth);
+const indent = (level = depth) => '  '.repeat(level);
 
 const log = (...args) => console.log(indent(), ...args);
 
-function print(msg, colour = '') { log(colour + msg + RESET); }
+function print(msg, colour = '', level = depth) { console.log(indent(level), colour + msg + RESET); }
 
 /* ---------- public API ---------- */
 export function describe(title, fn) {
@@ -21,13 +21,20 @@ export function describe(title, fn) {
 export function it(title, fn) {
   if (onlyMode && !onlys.includes(fn)) return;
   total++;
-  try {
-    fn();
-    print('✓ ' + title, GREEN);
-  } catch (err) {
+  const level = depth;
+  const pass = () => print('✓ ' + title, GREEN, level);
+  const fail = err => {
     failed++;
-    print('✗ ' + title, RED);
+    print('✗ ' + title, RED, level);
     failures.push({ title, err });
+  };
+  try {
+    const result = fn();
+    // async tests are reported when they settle
+    if (typeof result?.then === 'function') pending.push(result.then(pass, fail));
+    else pass();
+  } catch (err) {
+    fail(err);
   }
 }
 it.only = (title, fn) => { onlyMode = true; onlys.push(fn); it(title, fn); };
@@ -46,11 +53,21 @@ export function assertThrows(fn, expectedMsg) {
   }
 }
 
+export async function assertRejects(fn, expectedMsg) {
+  let threw = false, err;
+  try { await fn(); } catch (e) { threw = true; err = e; }
+  if (!threw) throw new Error('Expected promise to reject');
+  if (expectedMsg && !err.message.includes(expectedMsg)) {
+    throw new Error(`Expected rejection containing "${expectedMsg}", got "${err.message}"`);
+  }
+}
+
 export function assertDoesNotThrow(fn) {
   try { fn(); } catch (e) { throw new Error(`Expected no error, got: ${e.message}`); }
 }
 
-export function report() {
+export async function report() {
+  await Promise.all(pending);
   console.log('\n' + DIM + '--- Summary ---' + RESET);
   if (failed) {
     failures.forEach(({ title, err }) => {
@@ -0,0 +1,190 @@
+/*
+  Compiled with `npm run test:types`, against the declarations in with-type-checkers.d.ts.
+  Type errors fail the run; lines marked @ts-expect-error must keep failing.
+*/
+import withTypeCheckers, { createWithTypeCheckers, createChecker, sample, samples, invalidSamples, createValueFormatter, getTypeCheckStats, dumpTypeCheckStats, resetTypeCheckStats } from '../with-type-checkers.js';
+import type { Infer, StandaloneChecker, DefaultTypes, TypeCheckerContext } from '../with-type-checkers.js';
+import { TypeCheckError } from '../with-type-checkers.js';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+const expect = <T extends true>() => {};
+
+interface Checkers {
+  email: (v: unknown) => v is `${string}@${string}`;
+  even: (v: unknown) => boolean;
+}
+const checkers: Checkers = {
+  email: (v: unknown): v is `${string}@${string}` => typeof v === 'string' && v.includes('@'),
+  even: (v: unknown) => typeof v === 'number' && v % 2 === 0,
+};
+const withEmail = createWithTypeCheckers(checkers);
+const withInline = createWithTypeCheckers({ email: (v: unknown): v is `${string}@${string}` => typeof v === 'string' });
+class Inline extends withInline() {
+  f(v: unknown) {
+    this.assert.is('email', v);
+    expect<Equal<typeof v, `${string}@${string}`>>();
+    if (this.is.email(v)) { const s: `${string}@${string}` = v; }
+  }
+}
+
+// assert.is.name() narrows only when every name in the call has a declared type (TypeScript's rule for
+// assertion calls): checkers written as methods, or passed in an annotated map like `checkers` above
+const withMethods = createWithTypeCheckers({
+  email(v: unknown): v is string { return typeof v === 'string' && v.includes('@'); },
+});
+class Signup extends withMethods() {
+  email(v: unknown) { this.assert.is.email(v); return v.length; }
+  name(v: unknown) { this.assert.is.string(v); return v.length; }
+}
+class InlineAssert extends withInline() {
+  f(v: unknown) {
+    // @ts-expect-error an arrow function in an inline map has no declared type
+    this.assert.is.email(v);
+    this.assert.is('email', v);
+    return v.length;
+  }
+}
+
+class User extends withEmail({ classPrefix: 'User' }) {
+  setEmail(email: unknown) {
+    this.assert.is.email(email, 'email');
+    expect<Equal<typeof email, `${string}@${string}`>>();
+    return email;
+  }
+  setName(name: unknown) {
+    this.assert.is.string(name);
+    const n: string = name;
+    return n;
+  }
+  setShape(v: unknown) {
+    this.assert.is({ name: 'string', age: 'number?', tags: ['string'], pos: ['$tuple', 'number', 'string'], kind: "'a'|'b'" }, v);
+    expect<Equal<typeof v, { name: string; tags: string[]; pos: [number, string]; kind: 'a' | 'b'; age?: number | undefined }>>();
+    if (this.is('number[]|null', v)) {}
+  }
+}
+
+class Base { constructor(public id: number) {} hello() { return 1; } }
+class Mixed extends withTypeCheckers(Base, { instancePrefix() { return '#' + this.id; } }) {
+  run(x: unknown) {
+    this.hello();
+    if (this.is.date(x)) { const d: Date = x; }
+    const c = this.compile({ a: 'integer(0..10)' });
+    if (c(x)) { const a: number = x.a; }
+    const r = this.coerce({ page: 'positiveInteger', debug: 'boolean?' }, x);
+    expect<Equal<typeof r, { page: number; debug?: boolean | undefined }>>();
+  }
+}
+new Mixed(5).run(1);
+Mixed.assert.is.string('x');
+
+type T1 = Infer<['$or', 'null', { id: 'string' }]>;
+expect<Equal<T1, null | { id: string }>>();
+type T2 = Infer<'map<string,number>'>;
+expect<Equal<T2, Map<string, number>>>();
+const e = new TypeCheckError('x', { path: 'a' });
+e.causes.length;
+// @ts-expect-error unknown checker
+new User().assert.is.nope(1);
+
+// object operators
+type Shape = { a: 'string'; b: 'number?' };
+expect<Equal<Infer<['$strict', Shape]>, { a: string; b?: number | undefined }>>();
+expect<Equal<Infer<['$partial', { a: 'string' }]>, { a?: string }>>();
+expect<Equal<Infer<['$record', 'number']>, Record<string, number>>>();
+expect<Equal<Infer<['$record', "'x'|'y'", 'number']>, Record<'x' | 'y', number>>>();
+expect<Equal<Infer<['$pick', Shape, 'a']>, { a: string }>>();
+expect<Equal<Infer<['$omit', Shape, ['a']]>, { b?: number | undefined }>>();
+expect<Equal<Infer<['$extend', { a: 'string' }, { a: 'number'; c: 'boolean' }]>, { a: number; c: boolean }>>();
+expect<Equal<Infer<{ $strict: { a: 'string' } }>, { a: string }>>();
+// only coerce() fills in defaults, so keys with a $default stay required
+expect<Equal<Infer<{ limit: { $type: 'integer'; $default: 10 } }>, { limit: number }>>();
+
+// collection operators
+expect<Equal<Infer<['$map', 'string', 'number[]']>, Map<string, number[]>>>();
+expect<Equal<Infer<['$set', "'a'|'b'"]>, Set<'a' | 'b'>>>();
+expect<Equal<Infer<['$iterableOf', 'number']>, Iterable<number>>>();
+expect<Equal<Infer<{ $type: ['string']; $minItems: 1 }>, string[]>>();
+expect<Equal<Infer<{ $unique: true }>, unknown>>();
+expect<Equal<Infer<{ a: 'string' }>, { a: string }>>();
+expect<Equal<Infer<'typedArray'>, ArrayLike<number | bigint>>>();
+
+// constraints
+expect<Equal<Infer<{ $type: 'string'; $enum: ['a', 'b'] }>, 'a' | 'b'>>();
+expect<Equal<Infer<{ $literal: 3 }>, 3>>();
+expect<Equal<Infer<{ $type: 'integer'; $min: 0 }>, number>>();
+expect<Equal<Infer<{ $pattern: RegExp }>, unknown>>();
+declare const w: TypeCheckerContext;
+declare const u: unknown;
+if (w.is({ role: { $enum: ['admin', 'user'] } }, u)) { const r: 'admin' | 'user' = u.role; }
+
+// named schemas
+const withTrees = createWithTypeCheckers({
+  TreeNode: { label: 'string', children: ['TreeNode'] },
+  Pair: ['$tuple', 'string', 'number'],
+  isEven: (v: unknown): v is number => typeof v === 'number' && v % 2 === 0,
+});
+declare const tv: unknown;
+const Trees = withTrees();
+if (Trees.is('Pair', tv)) { const p: [string, number] = tv; }
+if (Trees.is('TreeNode', tv)) { const l: string = tv.label; }
+if (Trees.is.isEven(tv)) { const n: number = tv; }
+if (Trees.is('TreeNode', tv)) { expect<Equal<typeof tv.children, unknown[]>>(); }
+
+// discriminated unions
+type Ev = Infer<{ $union: { key: 'kind'; cases: { click: { x: 'number' }; key: { code: 'string' } } } }>;
+expect<Equal<Ev, { kind: 'click'; x: number } | { kind: 'key'; code: string }>>();
+declare const ev: unknown;
+if (w.is(['$union', { key: 'type', cases: { a: { n: 'number' }, b: { s: 'string' } } }], ev)) {
+  if (ev.type === 'a') { const n: number = ev.n; } else { const s: string = ev.s; }
+}
+
+// standalone checkers
+const sc = createChecker({ prefix: 'cfg', checkers: { port: (v: unknown): v is number => typeof v === 'number' } });
+declare const pv: unknown;
+if (sc.is.port(pv)) { const n: number = pv; }
+const db: StandaloneChecker<DefaultTypes> = createChecker().child('db');
+db.assert.is.string(pv); { const s: string = pv; }
+
+// guards
+{
+  const g = createChecker().guard({ n: 'number', tags: ['string'] }, { n: 1, tags: ['a'] as string[] });
+  expect<Equal<typeof g.n, number>>();
+  const c = createChecker().check.guard({ n: 'number' }, { n: 1 });
+  expect<Equal<typeof c, { n: number }>>();
+}
+
+// paths
+{
+  const c = createChecker({ pathFormat: 'pointer', undot: ['a.b'] });
+  const v: unknown = null as unknown;
+  if (c.is(['$undot', false, { 'x.y': 'number' }], v)) { const n: number = v['x.y']; }
+  if (c.is({ $undot: ['deep', { a: 'string' }] }, v)) { const s: string = v.a; }
+  c.check.is.string(v, ['cfg', 'hosts', 0]);
+  const r = c.validate('number', 1); const k: (string | number)[] = r.errors[0].keys;
+}
+
+// value formatting
+{
+  const c = createChecker({ formatValue: { depth: 2, width: 3 }, redact: ['password', /token/i] });
+  const d = createChecker({ formatValue: (v, k) => String(k), redact: k => k.startsWith('x') });
+  const f: (value: unknown, key?: string | number) => string = createValueFormatter({ depth: 1 });
+}
+
+// instrumentation
+{
+  const c = createChecker({ instrument: true });
+  const s: number = getTypeCheckStats().neverFailed[0].failures;
+  const j: string = dumpTypeCheckStats();
+  resetTypeCheckStats();
+}
+
+// samples
+{
+  const u = sample({ name: 'string', age: 'number?' }, { seed: 'x' });
+  const n: string = u.name;
+  const list: number[] = samples('number', 3);
+  const bad: unknown[] = invalidSamples(['string']);
+  const c = createChecker();
+  const t: [string, boolean] = c.sample(['$tuple', 'string', 'boolean'], { seed: 2 });
+  void n; void list; void bad; void t;
+}
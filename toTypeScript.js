@@ -0,0 +1,168 @@
+import { parseType, isOptionalSpec } from "./parseType.js";
+import { deriveSpec, unwrapShape } from "./shapes.js";
+import { isDescriptor } from "./constraints.js";
+
+// TypeScript types of the built-in checkers, kept in step with DefaultTypes in with-type-checkers.d.ts
+export const builtinTypes = {
+  any: 'any',
+  object: 'object',
+  plainObject: 'Record<string, unknown>',
+  string: 'string',
+  number: 'number',
+  positive: 'number',
+  negative: 'number',
+  integer: 'number',
+  positiveInteger: 'number',
+  negativeInteger: 'number',
+  boolean: 'boolean',
+  function: '(...args: any[]) => unknown',
+  array: 'unknown[]',
+  null: 'null',
+  undefined: 'undefined',
+  none: 'null | undefined',
+  symbol: 'symbol',
+  bigint: 'bigint',
+  date: 'Date',
+  regexp: 'RegExp',
+  error: 'Error',
+  promise: 'PromiseLike<unknown>',
+  set: 'Set<unknown>',
+  map: 'Map<unknown, unknown>',
+  weakset: 'WeakSet<object>',
+  weakmap: 'WeakMap<object, unknown>',
+  typedArray: 'ArrayLike<number | bigint>',
+  iterable: 'Iterable<unknown>',
+  numeric: 'number | string',
+  emptyString: "''",
+  notEmptyString: 'string',
+  emptyArray: '[]',
+  notEmptyArray: '[unknown, ...unknown[]]',
+  falsy: "false | 0 | 0n | '' | null | undefined",
+  truthy: 'unknown',
+  primitive: 'string | number | bigint | boolean | symbol | null | undefined',
+  asyncFunction: '(...args: any[]) => Promise<unknown>',
+  syncFunction: '(...args: any[]) => unknown',
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const key = k => IDENTIFIER.test(k) ? k : JSON.stringify(k);
+
+// parenthesizes unions, intersections and function types before they are used as array items or intersected
+function group(type) {
+  let depth = 0;
+  for (let i = 0; i < type.length; i++) {
+    if (type.startsWith('=>', i)) {
+      if (depth === 0) return `(${type})`;
+      i++;
+    } else if ('([{<'.includes(type[i])) depth++;
+    else if (')]}>'.includes(type[i])) depth--;
+    else if (depth === 0 && (type[i] === '|' || type[i] === '&')) return `(${type})`;
+  }
+  return type;
+}
+
+const literal = value =>
+  typeof value === 'string' ? `'${value.replace(/['\\]/g, '\\$&')}'`
+    : typeof value === 'bigint' ? `${value}n`
+      : value == null || typeof value === 'number' || typeof value === 'boolean' ? String(value)
+        : 'unknown';
+
+const isShape = spec =>
+  spec && typeof spec === 'object' && !Array.isArray(spec)
+  && !isDescriptor(spec) && !(Object.keys(spec).length === 1 && Object.keys(spec)[0].startsWith('$'));
+
+/*
+  Renders a spec as a TypeScript type. Names in `types` override the built-in types,
+  e.g. { email: 'string' } for custom checkers; other unknown names become `unknown`.
+*/
+export function toTypeScript(spec, { types = {} } = {}) {
+  const names = { ...builtinTypes, ...types };
+
+  function fromNode(node) {
+    switch (node.kind) {
+      case 'name':
+        return names[node.name] ?? 'unknown';
+      case 'literal':
+        return literal(node.value);
+      case 'optional':
+        return `${fromNode(node.type)} | undefined`;
+      case 'union':
+        return node.types.map(fromNode).join(' | ');
+      case 'range':
+        return fromNode(node.type);
+      case 'generic': {
+        const args = node.args.map(fromNode);
+        if (node.name === 'array') return `${group(args[0])}[]`;
+        if (node.name === 'set') return `Set<${args[0]}>`;
+        if (node.name === 'map') return `Map<${args[0]}, ${args[1]}>`;
+        return `Iterable<${args[0]}>`;
+      }
+    }
+  }
+
+  function convert(spec, indent) {
+    if (typeof spec === 'string') return fromNode(parseType(spec, names));
+    if (Array.isArray(spec)) {
+      if (spec.length === 1) return `${group(convert(spec[0], indent))}[]`;
+      const [op, ...types] = spec;
+      return operator(op, types, indent);
+    }
+    if (spec && typeof spec === 'object') {
+      const keys = Object.keys(spec);
+      if ('$enum' in spec || '$literal' in spec) return (spec.$enum ?? [spec.$literal]).map(literal).join(' | ');
+      if (isDescriptor(spec)) return convert(spec.$type ?? 'any', indent);
+      if (keys.length === 1 && keys[0].startsWith('$')) {
+        const args = spec[keys[0]];
+        return operator(keys[0], Array.isArray(args) ? args : [args], indent);
+      }
+      if (keys.length === 0) return '{}';
+      const inner = indent + '  ';
+      const lines = keys.map(k => `${inner}${key(k)}${isOptionalSpec(spec[k]) ? '?' : ''}: ${convert(spec[k], inner)};`);
+      return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+    return 'unknown';
+  }
+
+  function operator(op, types, indent) {
+    switch (op) {
+      case '$tuple': return `[${types.map(t => convert(t, indent)).join(', ')}]`;
+      case '$or': case '$any': case '$some': return types.map(t => convert(t, indent)).join(' | ');
+      case '$and': case '$all': case '$every': return types.map(t => group(convert(t, indent))).join(' & ');
+      case '$strict': case '$exact': case '$partial': {
+        const { shape, wrappers } = unwrapShape(op, types);
+        if (!wrappers.includes('$partial')) return convert(shape, indent);
+        return convert(Object.fromEntries(Object.entries(shape).map(([k, t]) => [k, ['$or', t, 'undefined']])), indent);
+      }
+      case '$record': {
+        const [key, value] = types.length === 1 ? ['string', types[0]] : types;
+        return `Record<${convert(key, indent)}, ${convert(value, indent)}>`;
+      }
+      case '$union': {
+        const [{ key: tagKey, cases }] = types;
+        return Object.entries(cases)
+          .map(([tag, spec]) => `{ ${key(tagKey)}: ${literal(tag)} } & ${group(convert(spec, indent))}`)
+          .join(' | ');
+      }
+      case '$map': return `Map<${convert(types[0], indent)}, ${convert(types[1], indent)}>`;
+      case '$set': return `Set<${convert(types[0], indent)}>`;
+      case '$iterableOf': return `Iterable<${convert(types[0], indent)}>`;
+      case '$pick': case '$omit': case '$extend': return convert(deriveSpec(op, types), indent);
+      case '$undot': return convert(types[1], indent);
+      default: return 'unknown';
+    }
+  }
+
+  return convert(spec, '');
+}
+
+// renders named specs as exported declarations, interfaces for object specs and type aliases otherwise
+// the declared specs refer to one another, and themselves, by name unless `types` says otherwise
+export function toDeclarations(specs, { types = {} } = {}) {
+  const names = { ...Object.fromEntries(Object.keys(specs).map(name => [name, name])), ...types };
+  return Object.entries(specs).map(([name, spec]) => {
+    const type = toTypeScript(spec, { types: names });
+    return isShape(spec)
+      ? `export interface ${name} ${type}\n`
+      : `export type ${name} = ${type};\n`;
+  }).join('\n');
+}
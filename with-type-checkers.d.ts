@@ -0,0 +1,421 @@
+/* -------------- checkers and specs -------------- */
+
+export type Checker = (value: any) => boolean;
+/** Predicates and named schemas, by name. */
+export type CheckerMap = Record<string, Checker | Spec>;
+/** Also accepts interfaces, which have no index signature. */
+export type CheckerMapOf<C> = { [K in keyof C]: Checker | Spec };
+
+/** Static types of the built-in checkers. */
+export interface DefaultTypes {
+  any: any;
+  object: object;
+  plainObject: Record<string, unknown>;
+  string: string;
+  number: number;
+  positive: number;
+  negative: number;
+  integer: number;
+  positiveInteger: number;
+  negativeInteger: number;
+  boolean: boolean;
+  function: (...args: any[]) => unknown;
+  array: unknown[];
+  null: null;
+  undefined: undefined;
+  none: null | undefined;
+  symbol: symbol;
+  bigint: bigint;
+  date: Date;
+  regexp: RegExp;
+  error: Error;
+  promise: PromiseLike<unknown>;
+  set: Set<unknown>;
+  map: Map<unknown, unknown>;
+  weakset: WeakSet<object>;
+  weakmap: WeakMap<object, unknown>;
+  typedArray: ArrayLike<number | bigint>;
+  iterable: Iterable<unknown>;
+  numeric: number | string;
+  emptyString: '';
+  notEmptyString: string;
+  emptyArray: [];
+  notEmptyArray: [unknown, ...unknown[]];
+  falsy: false | 0 | 0n | '' | null | undefined;
+  truthy: unknown;
+  primitive: string | number | bigint | boolean | symbol | null | undefined;
+  asyncFunction: (...args: any[]) => Promise<unknown>;
+  syncFunction: (...args: any[]) => unknown;
+}
+
+/** The type a checker guards: `(v: unknown) => v is T` gives T, any other predicate gives unknown. */
+export type Guarded<F> = F extends (value: any) => value is infer T ? T : unknown;
+
+type PredicateTypesOf<C> = Omit<DefaultTypes, keyof C> & { [K in keyof C as C[K] extends Checker ? K : never]: Guarded<C[K]> };
+
+/**
+ * Built-in types, overridden and extended by the custom checkers and named schemas in C.
+ * References from one named schema to another, including itself, are typed as unknown.
+ * The mapping keeps C's own declarations, so that checkers declared as methods or with an explicit
+ * type give `assert.is.{type}` members TypeScript accepts as assertions.
+ */
+export type TypesOf<C extends CheckerMapOf<C>> = Omit<DefaultTypes, keyof C> & {
+  [K in keyof C]: C[K] extends Checker ? Guarded<C[K]> : Infer<C[K], PredicateTypesOf<C>>;
+};
+
+export type Spec =
+  | string
+  | Checker
+  | readonly Spec[]
+  | readonly [string, ...Spec[]]
+  | { readonly [key: string]: Spec | unknown };
+
+/* -------------- type inference -------------- */
+
+type Trim<S extends string> = S extends ` ${infer R}` ? Trim<R> : S extends `${infer R} ` ? Trim<R> : S;
+
+type UnionToIntersection<U> = (U extends any ? (u: U) => void : never) extends (i: infer I) => void ? I : never;
+
+type Simplify<T> = { [K in keyof T]: T[K] } & {};
+
+/** Infers the type of a type expression such as 'string|number', 'number[]', 'string?' or "'a'|'b'". */
+export type InferExpression<S extends string, T> =
+  S extends `${infer A}|${infer B}` ? InferAtom<Trim<A>, T> | InferExpression<B, T> : InferAtom<Trim<S>, T>;
+
+type InferAtom<S extends string, T> =
+  S extends `(${infer E})` ? InferExpression<E, T>
+  : S extends `${infer E}?` ? InferAtom<E, T> | undefined
+  : S extends `${infer E}[]` ? InferAtom<E, T>[]
+  : S extends `array<${infer E}>` ? InferExpression<E, T>[]
+  : S extends `set<${infer E}>` ? Set<InferExpression<E, T>>
+  : S extends `iterable<${infer E}>` ? Iterable<InferExpression<E, T>>
+  : S extends `map<${infer K},${infer V}>` ? Map<InferExpression<K, T>, InferExpression<V, T>>
+  : S extends `${infer N}(${string}..${string})` ? InferAtom<N, T>
+  : S extends `'${infer L}'` ? L
+  : S extends `"${infer L}"` ? L
+  : S extends 'true' ? true
+  : S extends 'false' ? false
+  : S extends `${infer N extends number}` ? N
+  : S extends keyof T ? T[S]
+  : unknown;
+
+type InferObject<S, T> = Simplify<
+  { -readonly [K in keyof S as undefined extends Infer<S[K], T> ? never : K]: Infer<S[K], T> }
+  & { -readonly [K in keyof S as undefined extends Infer<S[K], T> ? K : never]?: Infer<S[K], T> }
+>;
+
+/** Keys of descriptor constraints, checked on top of $type. */
+export type ConstraintKey =
+  | '$min' | '$max' | '$multipleOf' | '$length' | '$pattern' | '$format' | '$enum' | '$literal'
+  | '$minItems' | '$maxItems' | '$unique';
+
+type Flat<X> = X extends readonly (infer Y)[] ? Y : X;
+
+type Extend<A, E, T> = E extends readonly [infer B, ...infer R] ? Extend<Omit<A, keyof Infer<B, T>> & Infer<B, T>, R, T> : Simplify<A>;
+
+type InferUnion<K extends string, C, T> = { [Tag in keyof C]: Simplify<{ [P in K]: Tag } & Infer<C[Tag], T>> }[keyof C];
+
+/** Infers the static type of a spec. Array specs must be `as const` (or passed inline) to be read as tuples. */
+export type Infer<S, T = DefaultTypes> =
+  S extends string ? InferExpression<S, T>
+  : S extends readonly ['$tuple', ...infer I] ? { -readonly [K in keyof I]: Infer<I[K], T> }
+  : S extends readonly ['$or' | '$any' | '$some', ...infer I] ? Infer<I[number], T>
+  : S extends readonly ['$and' | '$all' | '$every', ...infer I] ? UnionToIntersection<Infer<I[number], T>>
+  : S extends readonly ['$not', ...any[]] ? unknown
+  : S extends readonly ['$strict' | '$exact', infer I] ? Infer<I, T>
+  : S extends readonly ['$partial', infer I] ? Partial<Infer<I, T>>
+  : S extends readonly ['$record', infer V] ? Record<string, Infer<V, T>>
+  : S extends readonly ['$record', infer K, infer V] ? Record<Infer<K, T> & PropertyKey, Infer<V, T>>
+  : S extends readonly ['$undot', any, infer I] ? Infer<I, T>
+  : S extends readonly ['$resolves', infer I] ? PromiseLike<Infer<I, T>>
+  : S extends readonly ['$map', infer K, infer V] ? Map<Infer<K, T>, Infer<V, T>>
+  : S extends readonly ['$set', infer I] ? Set<Infer<I, T>>
+  : S extends readonly ['$iterableOf', infer I] ? Iterable<Infer<I, T>>
+  : S extends readonly ['$pick', infer I, ...infer K] ? Simplify<Pick<Infer<I, T>, Flat<K[number]> & keyof Infer<I, T>>>
+  : S extends readonly ['$omit', infer I, ...infer K] ? Simplify<Omit<Infer<I, T>, Flat<K[number]> & PropertyKey>>
+  : S extends readonly ['$extend', infer I, ...infer E] ? Extend<Infer<I, T>, E, T>
+  : S extends readonly [infer I] ? Infer<I, T>[]
+  : S extends (value: any) => value is infer G ? G
+  : S extends (...args: any[]) => any ? unknown
+  : S extends { readonly $enum: readonly (infer E)[] } ? E
+  : S extends { readonly $literal: infer L } ? L
+  : S extends { readonly $type: infer I } ? Infer<I, T>
+  : S extends { [K in ConstraintKey]: { readonly [P in K]: unknown } }[ConstraintKey] ? unknown
+  : S extends { readonly $or: readonly (infer I)[] } ? Infer<I, T>
+  : S extends { readonly $union: { readonly key: infer K extends string; readonly cases: infer C } } ? InferUnion<K, C, T>
+  : S extends readonly ['$union', { readonly key: infer K extends string; readonly cases: infer C }] ? InferUnion<K, C, T>
+  : S extends { readonly $strict: infer I } | { readonly $exact: infer I } ? Infer<I, T>
+  : S extends { readonly $partial: infer I } ? Partial<Infer<I, T>>
+  : S extends { readonly $undot: readonly [any, infer I] } ? Infer<I, T>
+  : S extends { readonly $record: infer V } ? Record<string, Infer<V, T>>
+  : S extends { readonly $tuple: infer I extends readonly unknown[] } ? { -readonly [K in keyof I]: Infer<I[K], T> }
+  : S extends object ? InferObject<S, T>
+  : unknown;
+
+/* -------------- checker context -------------- */
+
+/** A description, or the description followed by keys below it. */
+type Desc = string | readonly [string, ...PathKey[]];
+export type PathKey = string | number;
+export type PathFormat = 'dotted' | 'pointer';
+export type UndotMode = 'shallow' | 'deep' | false | readonly string[];
+
+/** Formats a failing value for messages; `key` is the last key of its path, and `keys`, given by formatDiff, are the keys from the root down to the value. */
+export type ValueFormatter = (value: unknown, key?: PathKey, keys?: readonly PathKey[]) => string;
+export interface ValueFormatterOptions {
+  /** Levels of objects, arrays, Maps and Sets to preview, 0 by default. */
+  depth?: number;
+  /** Entries shown per level, 5 by default. */
+  width?: number;
+  redact?: RedactRules;
+}
+/** Keys whose values are masked as [redacted]. */
+export type RedactRules = string | RegExp | readonly (string | RegExp)[] | ((key: string) => boolean);
+
+export type TypeGuards<T> = { [K in keyof T]: (value: unknown, desc?: Desc) => value is T[K] };
+export type TypeAssertions<T> = { [K in keyof T]: (value: unknown, desc?: Desc) => asserts value is T[K] };
+export type TypeChecks<T> = { [K in keyof T]: (value: unknown, desc?: Desc) => boolean };
+
+export interface Is<T> {
+  <const S>(type: S, value: unknown, desc?: Desc): value is Infer<S, T>;
+  compile<const S>(type: S): (value: unknown, desc?: Desc) => value is Infer<S, T>;
+  /** Also awaits async checkers and $resolves. */
+  async(type: Spec, value: unknown, desc?: Desc): Promise<boolean>;
+}
+export interface IsNot<T> {
+  (type: Spec, value: unknown, desc?: Desc): boolean;
+  compile(type: Spec): (value: unknown, desc?: Desc) => boolean;
+}
+export interface AssertIs<T> {
+  <const S>(type: S, value: unknown, desc?: Desc): asserts value is Infer<S, T>;
+  compile<const S>(type: S): (value: unknown, desc?: Desc) => asserts value is Infer<S, T>;
+  async(type: Spec, value: unknown, desc?: Desc): Promise<true>;
+}
+export interface CheckIs<T> {
+  <const S>(type: S, value: unknown, desc?: Desc): value is Infer<S, T>;
+  compile<const S>(type: S): (value: unknown, desc?: Desc) => boolean;
+  async(type: Spec, value: unknown, desc?: Desc): Promise<boolean>;
+}
+
+export interface ValidationError {
+  path: string;
+  keys: PathKey[];
+  expected: unknown;
+  got: unknown;
+  message: string;
+}
+
+export interface ValidationResult {
+  ok: boolean;
+  errors: ValidationError[];
+}
+
+export interface CoerceOptions {
+  strip?: boolean;
+}
+
+export interface SampleOptions {
+  /** Defaults to 1. */
+  seed?: number | string;
+}
+
+/** The random source given to a checker's `sample(random, limits)` method. */
+export interface SampleRandom {
+  next(): number;
+  int(min: number, max: number): number;
+  float(min: number, max: number): number;
+  bool(): boolean;
+  pick<V>(list: readonly V[]): V;
+  string(min?: number, max?: number): string;
+}
+
+export interface CompiledSpec<V> {
+  (value: unknown, desc?: Desc): value is V;
+  not(value: unknown, desc?: Desc): boolean;
+  assert(value: unknown, desc?: Desc): asserts value is V;
+  check(value: unknown, desc?: Desc): boolean;
+  validate(value: unknown, desc?: Desc): ValidationResult;
+}
+
+export interface TypeCheckerContext<T = DefaultTypes> {
+  is: Is<T> & TypeGuards<T> & { not: IsNot<T> & TypeChecks<T> };
+  assert: {
+    (ok: unknown, message?: string): asserts ok;
+    not(ok: unknown, message?: string): void;
+    is: AssertIs<T> & TypeAssertions<T> & { not: IsNot<T> & TypeChecks<T> };
+    coerce<const S>(type: S, value: unknown, desc?: Desc, options?: CoerceOptions): Infer<S, T>;
+    guard<const S, V extends object>(type: S, value: V, desc?: Desc): V & Infer<S, T>;
+  };
+  check: {
+    (ok: unknown, message?: string): boolean;
+    not(ok: unknown, message?: string): boolean;
+    is: CheckIs<T> & TypeGuards<T> & { not: IsNot<T> & TypeChecks<T> };
+    coerce<const S>(type: S, value: unknown, desc?: Desc, options?: CoerceOptions): unknown;
+    guard<V extends object>(type: Spec, value: V, desc?: Desc): V;
+  };
+  validate(type: Spec, value: unknown, desc?: Desc): ValidationResult;
+  coerce<const S>(type: S, value: unknown, desc?: Desc, options?: CoerceOptions): Infer<S, T>;
+  /** Checks value like assert.is(), then returns a Proxy that checks every later change to it. */
+  guard<const S, V extends object>(type: S, value: V, desc?: Desc): V & Infer<S, T>;
+  compile<const S>(type: S): CompiledSpec<Infer<S, T>>;
+  /** A random value that passes the spec; the same seed gives the same value. */
+  sample<const S>(type: S, options?: SampleOptions): Infer<S, T>;
+  samples<const S>(type: S, n: number, options?: SampleOptions): Infer<S, T>[];
+  /** Values one change away from passing the spec, and values of other types. */
+  invalidSamples(type: Spec, options?: SampleOptions): unknown[];
+  log(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(message: string): void;
+  debug(message: string): void;
+  throw(message: string): never;
+}
+
+/* -------------- reporters -------------- */
+
+export type ReportLevel = 'log' | 'debug' | 'warn' | 'error';
+
+export interface ReportEntry {
+  level: ReportLevel;
+  message: string;
+  prefix: string;
+  args: unknown[];
+  failure?: { path: string; keys: PathKey[]; expected: unknown; got: unknown };
+}
+
+export type Reporter =
+  | ((entry: ReportEntry) => void)
+  | { [L in ReportLevel]?: (entry: ReportEntry) => void };
+
+export interface MemoryReporter {
+  entries: ReportEntry[];
+  log(entry: ReportEntry): void;
+  debug(entry: ReportEntry): void;
+  warn(entry: ReportEntry): void;
+  error(entry: ReportEntry): void;
+  messages(level?: ReportLevel): string[];
+  clear(): void;
+}
+
+export type CheckLevel = 'assert' | 'check' | 'off';
+
+export interface TypeCheckStat {
+  class: string;
+  method: 'is' | 'is.not' | 'assert.is' | 'assert.is.not' | 'check.is' | 'check.is.not';
+  desc: string;
+  spec: string;
+  calls: number;
+  failures: number;
+  /** Milliseconds. */
+  time: number;
+}
+
+export interface TypeCheckStats {
+  checks: TypeCheckStat[];
+  neverFailed: TypeCheckStat[];
+  neverPassed: TypeCheckStat[];
+}
+
+export function sample<const S>(type: S, options?: SampleOptions): Infer<S>;
+export function samples<const S>(type: S, n: number, options?: SampleOptions): Infer<S>[];
+export function invalidSamples(type: Spec, options?: SampleOptions): unknown[];
+
+export function getTypeCheckStats(): TypeCheckStats;
+export function dumpTypeCheckStats(space?: number | string): string;
+export function resetTypeCheckStats(): void;
+
+export const consoleReporter: Reporter;
+export const silentReporter: Reporter;
+export function createMemoryReporter(): MemoryReporter;
+export function getCheckLevel(): CheckLevel;
+export function setCheckLevel(level: CheckLevel): void;
+
+/* -------------- mixin -------------- */
+
+export type PropertySpec = Spec | { $type: Spec; $default?: unknown; $readonly?: boolean; [constraint: `$${string}`]: unknown };
+
+export interface Signature {
+  params?: readonly Spec[] | Record<string, Spec>;
+  returns?: Spec;
+}
+
+export interface TypeCheckerOptions<I = any> {
+  classPrefix?: string | (() => string);
+  instancePrefix?: string | ((this: I, instance: I) => unknown) | null;
+  undot?: UndotMode;
+  pathFormat?: PathFormat;
+  formatValue?: ValueFormatter | Omit<ValueFormatterOptions, 'redact'>;
+  redact?: RedactRules;
+  /** Records every check for getTypeCheckStats(). */
+  instrument?: boolean;
+  /** Adds the checked value along the failing path to messages, diff-style. */
+  diff?: boolean;
+  properties?: Record<string, PropertySpec>;
+  reporter?: Reporter;
+}
+
+type Constructor = abstract new (...args: any[]) => any;
+
+export type TypeCheckedClass<B extends Constructor, T> =
+  B & TypeCheckerContext<T> & (abstract new (...args: any[]) => InstanceType<B> & TypeCheckerContext<T>);
+
+export interface WithTypeCheckers<T> {
+  <B extends Constructor>(Base: B, options?: TypeCheckerOptions<InstanceType<B>>): TypeCheckedClass<B, T>;
+  (options?: TypeCheckerOptions): TypeCheckerContext<T> & (new () => TypeCheckerContext<T>);
+}
+
+export interface StandaloneChecker<T> extends TypeCheckerContext<T> {
+  /** A checker whose messages are prefixed by this checker's prefix, then `prefix`. */
+  child(prefix: string | (() => unknown)): StandaloneChecker<T>;
+}
+
+export interface CheckerOptions<C> {
+  prefix?: string | (() => unknown);
+  checkers?: C;
+  reporter?: Reporter;
+  undot?: UndotMode;
+  pathFormat?: PathFormat;
+  formatValue?: ValueFormatter | Omit<ValueFormatterOptions, 'redact'>;
+  redact?: RedactRules;
+  instrument?: boolean;
+  diff?: boolean;
+}
+
+export function createChecker<const C extends CheckerMapOf<C> = {}>(options?: CheckerOptions<C>): StandaloneChecker<TypesOf<C>>;
+
+export function createWithTypeCheckers<const C extends CheckerMapOf<C> = {}>(extraTypeCheckers?: C): WithTypeCheckers<TypesOf<C>>;
+export const withTypeCheckers: WithTypeCheckers<DefaultTypes>;
+export default withTypeCheckers;
+
+/* -------------- errors -------------- */
+
+export class TypeCheckError extends TypeError {
+  constructor(message: string, fields?: {
+    path?: string;
+    keys?: PathKey[];
+    expectedType?: unknown;
+    actualValue?: unknown;
+    prefix?: string;
+    causes?: TypeCheckError[];
+  });
+  path?: string;
+  keys?: PathKey[];
+  expectedType?: unknown;
+  actualValue?: unknown;
+  prefix?: string;
+  causes: TypeCheckError[];
+}
+
+export function formatSpec(spec: Spec, options?: { maxLength?: number }): string;
+export function formatDiff(root: unknown, keys: readonly PathKey[], type: Spec, show?: ValueFormatter): string;
+export function formatValue(value: unknown): string;
+export function createValueFormatter(options?: ValueFormatterOptions): ValueFormatter;
+
+/* -------------- conversions -------------- */
+
+export type OnUnsupported = (what: string, path: string) => void;
+
+export function toJSONSchema(spec: Spec, options?: { onUnsupported?: OnUnsupported; schemas?: Record<string, Spec> }): Record<string, unknown>;
+export function fromJSONSchema(schema: boolean | Record<string, unknown>, options?: { onUnsupported?: OnUnsupported }): Spec;
+
+export function toTypeScript(spec: Spec, options?: { types?: Record<string, string> }): string;
+export function toDeclarations(specs: Record<string, Spec>, options?: { types?: Record<string, string> }): string;
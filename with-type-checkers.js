@@ -1,152 +1,756 @@
-import { defaultTypeCheckers } from "./defaultTypeCheckers.js";
-import { formatMessage, formatValue, formatExpected, throwExpected, throwMessage, warnMessage } from "./formatMessage.js";
-
-function undot_shallow(obj) {
-  if (!obj || typeof obj !== 'object') return obj;
-  if (obj.constructor && obj.constructor !== Object) return obj;
-  const out = {};
-  for (const [k, v] of Object.entries(obj)) {
-    const keys = k.split('.');
-    const last = keys.pop();
-    let target = out;
-    for (const key of keys) target = target[key] ??= {};
-    target[last] = v;
-  }
-  return out;
+import { defaultTypeCheckers, AsyncFunction } from "./defaultTypeCheckers.js";
+import { typeExpression } from "./parseType.js";
+import { makeCoercer } from "./coerce.js";
+import { makeGuard } from "./guard.js";
+import { makeSampler } from "./sample.js";
+import { deriveSpec, unwrapShape, unionCase } from "./shapes.js";
+import { constraints, entriesOf, isDescriptor } from "./constraints.js";
+import { formatSpec } from "./formatSpec.js";
+import { formatMessage, formatExpected, formatPrefix, throwExpected, throwMessage } from "./formatMessage.js";
+import { formatPath, undotWith } from "./paths.js";
+import { measure } from "./stats.js";
+import { REDACTED, createValueFormatter, redactionOf, redactValue } from "./formatValue.js";
+import { consoleReporter, report, getCheckLevel } from "./reporters.js";
+
+/* -------------- 1b. method signatures -------------- */
+
+const signedClasses = new WeakSet();
+
+const signatureParams = ({ params = [] } = {}) =>
+  Array.isArray(params) ? params.map((type, i) => [i, type]) : Object.entries(params);
+
+function signMethod(name, method, signature, isAsync = method instanceof AsyncFunction) {
+  const params = signatureParams(signature);
+  const { returns } = signature;
+  const signed = function (...args) {
+    params.forEach(([key, type], i) => this.assert.is(type, args[i], `${name}.${key}`));
+    const result = method.apply(this, args);
+    if (returns === undefined) return result;
+    if (isAsync) return result.then(value => (this.assert.is(returns, value, `${name}.return`), value));
+    this.assert.is(returns, result, `${name}.return`);
+    return result;
+  }
+  Object.defineProperty(signed, 'name', { value: method.name });
+  return signed;
 }
 
-function undot_deep(obj) {
-  if (!obj || typeof obj !== 'object') return obj;
-  if (obj.constructor && obj.constructor !== Object) return obj;
-  const out = {};
-  for (const [k, v] of Object.entries(obj)) {
-    const keys = k.split('.');
-    const last = keys.pop();
-    let target = out;
-    for (const key of keys) target = target[key] ??= {};
-    target[last] = v ? undot_deep(v) : v;
-  }
-  return out;
+/*
+  wraps each method named in a class's own static `signatures` map, once per class. Methods are
+  wrapped on the class's own prototype: inherited ones get an own override that calls super, so
+  the classes that define them, and their other subclasses, are left as they are
+*/
+function signClass(Class) {
+  if (signedClasses.has(Class)) return;
+  const { signatures } = Class;
+  const names = Object.keys(signatures).filter(name => name !== 'constructor');
+  const proto = Class.prototype;
+  for (const name of names) {
+    if (typeof proto[name] !== 'function') Class.throw(`signatures: no method ${name}`);
+  }
+  const parent = Object.getPrototypeOf(proto);
+  for (const name of names) {
+    const own = Object.hasOwn(proto, name);
+    const method = own ? proto[name] : { [name](...args) { return parent[name].apply(this, args); } }[name];
+    Object.defineProperty(proto, name, {
+      ...(own ? Object.getOwnPropertyDescriptor(proto, name) : { configurable: true, writable: true, enumerable: false }),
+      value: signMethod(name, method, signatures[name], proto[name] instanceof AsyncFunction),
+    });
+  }
+  signedClasses.add(Class);
 }
 
+// signs every class from new.target up to the mixin that declares its own signatures. the
+// signatures of the class the innermost mixin extends are signed on that mixin, which inherits them
+function applySignatures(Class) {
+  for (; layersOf(Class).length; Class = Object.getPrototypeOf(Class)) {
+    const innermost = !layersOf(Object.getPrototypeOf(Class)).length;
+    if (Object.hasOwn(Class, 'signatures') || innermost && Class.signatures) signClass(Class);
+  }
+}
+
+function checkConstructorArguments(Class, args) {
+  const { signatures } = Class;
+  if (!signatures || !Object.hasOwn(signatures, 'constructor')) return;
+  signatureParams(signatures.constructor).forEach(([key, type], i) => Class.assert.is(type, args[i], `constructor.${key}`));
+}
+
+/* -------------- 1c. typed properties -------------- */
+
+const propertyValues = new WeakMap();
+const valuesOf = instance => propertyValues.get(instance) ?? propertyValues.set(instance, {}).get(instance);
+
+// a property spec is either a plain type spec or { $type, $default, $readonly } with any constraints
+const propertyDescriptor = spec =>
+  isDescriptor(spec)
+    ? { type: spec, default: spec.$default, readonly: !!spec.$readonly }
+    : { type: spec, default: undefined, readonly: false };
+
+function defineProperties(Class, properties) {
+  for (const [key, spec] of Object.entries(properties)) {
+    const { type, readonly } = propertyDescriptor(spec);
+    Object.defineProperty(Class.prototype, key, {
+      configurable: true,
+      enumerable: true,
+      get() {
+        return valuesOf(this)[key];
+      },
+      // assignments made before the checker context exists are validated by initProperties
+      set(value) {
+        const values = valuesOf(this);
+        if (Object.hasOwn(this, 'assert')) {
+          if (readonly && key in values) this.throw(`${key} is read-only`);
+          this.assert.is(type, value, key);
+        }
+        values[key] = value;
+      },
+    });
+  }
+}
+
+function initProperties(instance, properties) {
+  const values = valuesOf(instance);
+  for (const [key, spec] of Object.entries(properties)) {
+    const { type, default: defaultValue } = propertyDescriptor(spec);
+    if (key in values) instance.assert.is(type, values[key], key);
+    else if (defaultValue !== undefined) {
+      const value = typeof defaultValue === 'function' ? defaultValue.call(instance) : defaultValue;
+      instance.assert.is(type, value, key);
+      values[key] = value;
+    }
+  }
+}
 
 /* -------------- 2.  factory -------------- */
 
-const applyCheckerContext = function (typeCheckers, ctx, { undot: undotMode, ...options }) {
-  const isProto = {};
+const isThenable = value => typeof value?.then === 'function';
+
+// a description, or a path array that starts with one
+const pathOf = desc => Array.isArray(desc) ? desc : [desc ?? ''];
+
+// formatValue is a formatter, or options for createValueFormatter; redacted entries are masked in either
+const valueOptions = ({ formatValue, redact, ...options }) => {
+  const isRedacted = redactionOf(redact);
+  const show = typeof formatValue === 'function'
+    ? (value, key) => formatValue(redact ? redactValue(value, isRedacted) : value, key)
+    : createValueFormatter({ ...formatValue, redact });
+  return {
+    ...options,
+    // values below a redacted key are masked too
+    showValue: (value, keys = []) => keys.some(isRedacted) ? REDACTED : show(value, keys.at(-1)),
+    redactValue: redact ? (value, keys = []) => keys.some(isRedacted) ? REDACTED : redactValue(value, isRedacted) : value => value,
+  };
+}
+
+// the per type members of is, assert.is and check.is, shared by every context made from the same
+// checker map; they call the handler they are read from, whose prototype this is
+const isProtos = new WeakMap();
+function isProtoOf(typeCheckers) {
+  if (isProtos.has(typeCheckers)) return isProtos.get(typeCheckers);
+  const isProto = Object.create(Function.prototype);
   for (const type in typeCheckers) {
     const checker = typeCheckers[type];
-    isProto[type] = function (value, desc) {
-      return this._fn(checker(value), { type, value, path: [desc ?? ''] });
-    };
+    isProto[type] = typeof checker !== 'function'
+      ? function (value, desc) {
+        return this(type, value, desc);
+      }
+      : function (value, desc) {
+        return this._skip() || this._fn(checker(value), { type, value, path: pathOf(desc) });
+      };
   }
+  isProtos.set(typeCheckers, isProto);
+  return isProto;
+}
 
-  const undot =
-    undotMode == 'deep' ? undot_deep
-      : undotMode == 'shallow' ? undot_shallow
-        : v => v;
+const applyCheckerContext = function (typeCheckers, ctx, { undot: undotMode, ...rest }) {
+  const options = valueOptions(rest);
+  // named schemas are registered alongside predicates, and are checked by walking them
+  const schemas = {};
+  for (const type in typeCheckers) {
+    if (typeof typeCheckers[type] !== 'function') schemas[type] = typeCheckers[type];
+  }
+  // type expressions see named schemas as predicates; maps of predicates only are shared,
+  // and so are the expressions compiled against them
+  const checkers = Object.keys(schemas).length ? { ...typeCheckers } : typeCheckers;
+  for (const type in schemas) checkers[type] = value => silent(type, value);
+
+  const isProto = isProtoOf(typeCheckers);
 
-  // ---- new walker factory ----
-  const makeIsType = fn => {
+  // $undot replaces it while its spec is checked
+  const undotDefault = undotWith(undotMode);
+  let undot = undotDefault;
+
+  // type expression errors are reported with the prefix, before any value is checked
+  const compileTypeExpression = source => {
+    try {
+      return typeExpression(source, checkers);
+    } catch (e) {
+      throwMessage({ options, message: e.message });
+    }
+  }
+
+  // ---- walker factory ----
+  // specs are compiled into (value, path) => boolean functions; compiled specs are cached
+  // per spec object, so they must not be mutated afterwards.
+  // with `all` set, the walker does not stop at the first failure, so fn sees every failing path.
+  // with `async` set, promises from checkers and $resolves are added to `pending` and checked
+  // once they settle; other walkers reject them, so async checks inside $or and $not are not supported
+  const makeIsType = (fn, { all = false, async = false } = {}) => {
+    const compiled = new WeakMap();
+    const expressions = new Map();
+    const every = (list, f) => all ? list.map(f).every(Boolean) : list.every(f);
+    // f runs on the settled value, and rejected on the rejection reason if given, with the pending
+    // list and root of the check that deferred it
+    const later = (promise, type, f, rejected) => {
+      if (!async) throwMessage({ options, message: `${formatSpec(type)} is asynchronous, check it with is.async()` });
+      const [list, start, split] = [pending, root, undot];
+      const settled = g => g && (result => {
+        const [outerList, outerRoot, outerUndot] = [pending, root, undot];
+        [pending, root, undot] = [list, start, split];
+        try {
+          return g(result);
+        } finally {
+          [pending, root, undot] = [outerList, outerRoot, outerUndot];
+        }
+      });
+      const deferred = Promise.resolve(promise).then(settled(f), settled(rejected));
+      // a check that has already failed does not wait for the rest, which must not reject unhandled
+      deferred.catch(() => { });
+      list.push(deferred);
+      return true;
+    }
+    // failures name the whole spec, [op, ...branches], as $tuple and $record do
+    const union = op => type => {
+      const branches = type.map(t => silent.lookup(t));
+      return (value, path) => fn(branches.some(b => b(value, path)), {
+        type: [op, ...type], value, path, causes: () => type.flatMap(t => collect(t, value, path)),
+      });
+    }
+    const and = type => {
+      const branches = type.map(lookup);
+      return (value, path) => every(branches, b => b(value, path));
+    }
+    // an object spec's keys, with `partial` ones allowed to be missing and `strict` ones rejecting any other key
+    const shape = (type, { partial = false, strict = false } = {}) => {
+      const entries = Object.keys(type).map(k => [k, lookup(type[k])]);
+      return (value, path) => {
+        if (typeof value !== 'object' || value === null) return fn(false, { type, value, path });
+        const v = undot(value);
+        let ok = true;
+        for (const [k, item] of entries) {
+          if (partial && v[k] === undefined) continue;
+          if (!item(v[k], [...path, k])) {
+            ok = false;
+            if (!all) return false;
+          }
+        }
+        if (strict) for (const k of Object.keys(v)) {
+          if (Object.hasOwn(type, k)) continue;
+          fn(false, { type: 'no key', value: v[k], path: [...path, k] });
+          ok = false;
+          if (!all) return false;
+        }
+        return ok;
+      }
+    }
+    const shaped = op => ([type]) => {
+      const { shape: keys, wrappers } = derive(unwrapShape, [op, type]);
+      return shape(keys, {
+        partial: wrappers.includes('$partial'),
+        strict: wrappers.includes('$strict') || wrappers.includes('$exact'),
+      });
+    }
+    // shape errors are programming errors, reported like unknown type names
+    const derive = (f, [op, ...args]) => {
+      try {
+        return f(op, args);
+      } catch (e) {
+        throwMessage({ options, message: `${op}: ${e.message}` });
+      }
+    }
+    // named schemas are compiled on first use, so that they can refer to themselves. a value met
+    // again while it is being checked against the same schema is cyclic, and passes there
+    const visiting = {};
+    const reference = name => {
+      const active = visiting[name] ??= new Set();
+      let walker;
+      return (value, path) => {
+        walker ??= compile(schemas[name]);
+        if (typeof value !== 'object' || value === null) return walker(value, path);
+        if (active.has(value)) return true;
+        active.add(value);
+        try {
+          return walker(value, path);
+        } finally {
+          active.delete(value);
+        }
+      }
+    }
+    const descriptor = type => {
+      const base = lookup(type.$type ?? 'any');
+      const label = type.$type === undefined ? undefined : formatSpec(type.$type);
+      const checks = Object.keys(type).filter(k => k in constraints).map(k => {
+        try {
+          const { test, describe, item } = constraints[k](type[k]);
+          return { test, expected: describe(label), item };
+        } catch (e) {
+          throwMessage({ options, message: `${k}: ${e.message}` });
+        }
+      });
+      if (checks.length === 0) return base;
+      return (value, path) => base(value, path) && every(checks, ({ test, expected, item }) => {
+        const result = test(value);
+        if (Array.isArray(result)) return fn(false, { type: item, value: result[1], path: [...path, result[0]] });
+        return fn(result, { type: expected, value, path });
+      });
+    }
     const operators = {
-      $all: (type, value, path) => type.every((t, i) => walk(t, value, path)),
-      $every: (type, value, path) => type.every((t, i) => walk(t, value, path)),
-      $and: (type, value, path) => type.every((t, i) => walk(t, value, path)),
-      $any: (type, value, path) => fn(type.some((t, i) => ctx.is(t, value, path.join('.'))), { type, value, path }),
-      $some: (type, value, path) => fn(type.some((t, i) => ctx.is(t, value, path.join('.'))), { type, value, path }),
-      $or: (type, value, path) => fn(type.some((t, i) => ctx.is(t, value, path.join('.'))), { type, value, path }),
-      $not: (type, value, path) => fn(type.every((t, i) => ctx.is.not(t, value, path.join('.'))), { type, value, path }),
-      $tuple: (type, value, path) => type.every((t, i) => walk(t, value[i], [...path, i])),
-    }
-    function walk(type, value, path = []) {
+      $all: and,
+      $every: and,
+      $and: and,
+      $any: union('$any'),
+      $some: union('$some'),
+      $or: union('$or'),
+      $not: type => {
+        const branches = type.map(t => silent.lookup(t));
+        return (value, path) => fn(!branches.some(b => b(value, path)), { type: ['$not', ...type], value, path });
+      },
+      // [$undot, mode, spec] checks spec with its own undot mode
+      $undot: ([mode, type]) => {
+        const split = undotWith(mode);
+        const inner = lookup(type);
+        return (value, path) => {
+          const outer = undot;
+          undot = split;
+          try {
+            return inner(value, path);
+          } finally {
+            undot = outer;
+          }
+        }
+      },
+      $tuple: type => {
+        const items = type.map(lookup);
+        return (value, path) => {
+          if (!Array.isArray(value)) return fn(false, { type: ['$tuple', ...type], value, path });
+          return every(items, (item, i) => item(value[i], [...path, i]));
+        }
+      },
+      $strict: shaped('$strict'),
+      $exact: shaped('$exact'),
+      $partial: shaped('$partial'),
+      // record keys are data, so they are never undotted
+      $record: type => {
+        const [keyType, valueType] = type.length === 1 ? ['string', type[0]] : type;
+        const key = lookup(keyType);
+        const item = lookup(valueType);
+        return (value, path) => {
+          if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return fn(false, { type: ['$record', ...type], value, path });
+          }
+          return every(Object.keys(value), k => key(k, [...path, k]) && item(value[k], [...path, k]));
+        }
+      },
+      // picks the case named by the value's `key` field, and checks only that one
+      $union: type => {
+        const [{ key, cases }] = type;
+        const branches = new Map(Object.entries(cases).map(([tag, spec]) => [tag, lookup(unionCase(spec, key))]));
+        const tags = [...branches.keys()].map(tag => `'${tag}'`).join('|');
+        return (value, path) => {
+          if (typeof value !== 'object' || value === null) return fn(false, { type: 'object', value, path });
+          const tag = undot(value)[key];
+          const branch = branches.get(String(tag));
+          if (!branch) return fn(false, { type: tags, value: tag, path: [...path, key] });
+          return branch(value, path);
+        }
+      },
+      // synchronous checks only see that the value is a promise
+      $resolves: type => {
+        const item = lookup(type[0]);
+        return (value, path) => {
+          if (!isThenable(value)) return fn(false, { type: 'promise', value, path });
+          // a rejected promise fails the check
+          return !async || later(value, ['$resolves', ...type], result => item(result, path),
+            reason => fn(false, { type: ['$resolves', ...type], value: reason, path }));
+        }
+      },
+      $map: type => {
+        const [key, item] = type.map(lookup);
+        return (value, path) => {
+          if (!(value instanceof Map)) return fn(false, { type: ['$map', ...type], value, path });
+          let i = 0;
+          return every([...value], ([k, v]) => {
+            const at = `<${i++}>`;
+            // primitive keys name their entry, other keys are shown by position
+            const name = typeof k === 'string' || typeof k === 'number' ? String(k) : at;
+            return key(k, [...path, at]) && item(v, [...path, name]);
+          });
+        }
+      },
+      $set: type => {
+        const item = lookup(type[0]);
+        return (value, path) => {
+          if (!(value instanceof Set)) return fn(false, { type: ['$set', ...type], value, path });
+          return every([...entriesOf(value)], ([k, v]) => item(v, [...path, k]));
+        }
+      },
+      $iterableOf: type => {
+        const item = lookup(type[0]);
+        return (value, path) => {
+          if (typeof value !== 'object' || value === null || typeof value[Symbol.iterator] !== 'function') {
+            return fn(false, { type: ['$iterableOf', ...type], value, path });
+          }
+          return every([...entriesOf(value)], ([k, v]) => item(v, [...path, k]));
+        }
+      },
+      $pick: type => lookup(derive(deriveSpec, ['$pick', ...type])),
+      $omit: type => lookup(derive(deriveSpec, ['$omit', ...type])),
+      $extend: type => lookup(derive(deriveSpec, ['$extend', ...type])),
+    }
+    function compileSpec(type) {
       if (typeof type === 'string') {
-        const ok = type.split('|').some(t => typeCheckers[t]?.(value));
-        if (!fn(ok, { type, value, path })) return false;
-        return ok;
+        if (Object.hasOwn(schemas, type)) return reference(type);
+        const predicate = compileTypeExpression(type);
+        return (value, path) => {
+          const ok = predicate(value);
+          if (isThenable(ok)) return later(ok, type, result => fn(result, { type, value, path }));
+          if (!fn(ok, { type, value, path })) return false;
+          return ok;
+        }
       }
       if (Array.isArray(type)) {
-        if (type.length === 0) throwMessage(options, 'not allowed []');
-        if (type.length === 1) return value.every(v => walk(type[0], v, path));
-        const t = type.shift();
+        if (type.length === 0) throwMessage({ options, message: 'not allowed []' });
+        if (type.length === 1) {
+          const item = lookup(type[0]);
+          return (value, path) => {
+            if (!Array.isArray(value)) return fn(false, { type, value, path });
+            return every(value, (v, i) => item(v, [...path, i]));
+          }
+        }
+        const [t, ...rest] = type;
         const op = operators[t];
-        if (!op) throwMessage(options, `not allowed [${t}]`);
-        return op(type, value, path);
+        if (!op) throwMessage({ options, message: `not allowed [${t}]` });
+        return op(rest);
       }
       if (type && typeof type === 'object') {
         const keys = Object.keys(type);
         //if (keys.length === 0) throwMessage(options, 'not allowed {}');
         if (keys.length === 1) {
           const t = keys[0];
-          if (t in operators) {
-            const _type = type[t];
-            const op = operators[t];
-            return op(_type, value, path);
-          }
+          if (t in operators) return operators[t](Array.isArray(type[t]) ? type[t] : [type[t]]);
         };
-        if (typeof value !== 'object' || value === null) return false;
-        const v = undot(value);
-        return Object.keys(type).every(k => walk(type[k], v[k], [...path, k]));
+        // { $type, $default } descriptors are checked as their $type, then their constraints
+        if (isDescriptor(type)) return descriptor(type);
+        return shape(type);
       }
       if (typeof type === 'function') {
-        return fn(type(value), { type, value, path });
+        return (value, path) => {
+          const ok = type(value);
+          if (isThenable(ok)) return later(ok, type, result => fn(result, { type, value, path }));
+          return fn(ok, { type, value, path });
+        }
       }
+      return () => undefined;
+    }
+    // only explicitly compiled specs are cached, as caching every short-lived inline spec costs more than it saves
+    const cacheFor = type =>
+      typeof type === 'string' ? expressions
+        : type && (typeof type === 'object' || typeof type === 'function') ? compiled
+          : null;
+    function lookup(type) {
+      const cache = cacheFor(type);
+      return cache?.get(type) ?? compileSpec(type);
+    }
+    function compile(type) {
+      const cache = cacheFor(type);
+      if (!cache) return compileSpec(type);
+      let walker = cache.get(type);
+      if (!walker) cache.set(type, walker = compileSpec(type));
+      return walker;
+    }
+    const walk = (type, value, path = []) => lookup(type)(value, path);
+    walk.compile = compile;
+    walk.lookup = lookup;
+    return walk;
+  }
+
+  const silent = makeIsType(ok => ok);
+
+  // promises of the async check in progress
+  let pending = null;
+  // the value the current check started from, for the diff option
+  let root;
+
+  let failures = null;
+  const collector = makeIsType((ok, info) => {
+    if (!ok) failures.push(info);
+    return ok;
+  }, { all: true });
+  const collect = (type, value, path) => {
+    const outer = failures;
+    failures = [];
+    try {
+      collector(type, value, path);
+      return failures;
+    } finally {
+      failures = outer;
     }
-    return walk
   }
 
-  const makeIs = (fn) => {
-    const isType = makeIsType(fn);
-    const handler = (type, value, desc) => fn(isType(type, value, [desc ?? '']), { type, value, path: [desc ?? ''] });
-    Object.assign(handler, isProto, { _fn: fn });
+  // plain variants report failures from inside the walk, while negated variants walk silently
+  // and only apply fn to the overall result; checked variants always pass when the check level is off
+  const makeIs = (fn, { negated = false, checked = false, method } = {}) => {
+    const isType = negated ? silent : makeIsType(fn);
+    const finish = negated ? fn : ok => ok;
+    const skip = () => checked && getCheckLevel() === 'off';
+    const run = (walker, type, value, desc) => {
+      if (skip()) return true;
+      const outer = root;
+      root = value;
+      try {
+        return finish(walker(value, pathOf(desc)), { type, value, path: pathOf(desc) });
+      } finally {
+        root = outer;
+      }
+    }
+    // with the instrument option, every check is recorded, see stats.js
+    const site = { owner: options.owner, method };
+    const measured = options.instrument
+      ? check => (type, value, desc) => measure(site, type, desc, () => check(type, value, desc))
+      : check => check;
+    const handler = measured((type, value, desc) => run(isType.lookup(type), type, value, desc));
+    handler.compile = type => {
+      const walker = isType.compile(type);
+      const compiled = (value, desc) => run(walker, type, value, desc);
+      return options.instrument ? (value, desc) => measure(site, type, desc, () => compiled(value, desc)) : compiled;
+    }
+    if (!negated) {
+      // resolves once every deferred check has settled, including those deferred by settled ones
+      let asyncType;
+      handler.async = measured(async (type, value, desc) => {
+        asyncType ??= makeIsType(fn, { async: true });
+        const list = [];
+        const outer = pending;
+        pending = list;
+        let ok;
+        try {
+          ok = run(asyncType.lookup(type), type, value, desc);
+        } finally {
+          pending = outer;
+        }
+        // a checker that throws or rejects rejects the check, unless it has failed already
+        while (ok && list.length) {
+          const results = await Promise.allSettled(list.splice(0));
+          const error = results.find(result => result.status === 'rejected');
+          if (error) throw error.reason;
+          ok = results.every(result => result.value);
+        }
+        return ok;
+      });
+    }
+    // schema names call the handler, which records them
+    const proto = options.instrument ? Object.assign(Object.create(Function.prototype), Object.fromEntries(Object.entries(isProto).map(([type, check]) => [
+      type,
+      type in schemas ? check : function (value, desc) {
+        return measure(site, type, desc, () => check.call(this, value, desc));
+      },
+    ]))) : isProto;
+    Object.setPrototypeOf(handler, proto);
+    Object.assign(handler, { _fn: fn, _skip: skip });
     return handler;
   }
 
+  const reporter = options.reporter ?? consoleReporter;
+  const emit = (level, entry) => report(reporter, {
+    level,
+    message: '',
+    prefix: formatPrefix(options.prefix()).trim(),
+    args: [],
+    ...entry,
+  });
+  const failureOf = ({ type, value, path }) => ({
+    path: formatPath(path, options.pathFormat),
+    keys: path.slice(1),
+    expected: type,
+    got: options.redactValue(value, path.slice(1)),
+  });
+  const warnExpected = info => emit('warn', { message: formatExpected({ options, root, ...info }), failure: failureOf(info) });
+  const negated = info => ({ ...info, type: ['$not', info.type] });
 
-  ctx.is = makeIs(ok => ok);
-  ctx.is.not = makeIs(ok => !ok);
+  // failed assertions throw, or only warn when the check level is downgraded
+  const failMessage = message => {
+    if (getCheckLevel() === 'assert') throwMessage({ options, message });
+    if (getCheckLevel() === 'check') emit('warn', { message: formatMessage({ options, message }) });
+  }
+  const failExpected = info => {
+    if (getCheckLevel() === 'assert') throwExpected({ root, ...info, options });
+    warnExpected(info);
+    return false;
+  }
+
+  ctx.is = makeIs(ok => ok, { method: 'is' });
+  ctx.is.not = makeIs(ok => !ok, { negated: true, method: 'is.not' });
 
   // generic assert
   ctx.assert = (ok, message) => {
-    if (!ok) throwMessage({ options, message });
+    if (!ok) failMessage(message);
   }
   ctx.assert.not = (ok, message) => {
-    if (ok) throwMessage({ options, message });
+    if (ok) failMessage(message);
   }
   // per type assert, we will call expectedThrow
-  ctx.assert.is = makeIs((ok, { type, value, path }) => {
-    if (!ok) throwExpected({ value, path, type, options });
-    return true;
-  });
-  ctx.assert.is.not = makeIs((ok, { type, value, path }) => {
-    if (ok) throwExpected({ value, path, type: 'not ' + type, options });
-    return true;
-  });
+  ctx.assert.is = makeIs((ok, info) => ok || failExpected(info), { checked: true, method: 'assert.is' });
+  ctx.assert.is.not = makeIs((ok, info) => !ok || failExpected(negated(info)), { negated: true, checked: true, method: 'assert.is.not' });
 
   ctx.check = (ok, message) => {
-    if (!ok) console.warn(formatMessage({ options, message }));
+    if (!ok && getCheckLevel() !== 'off') emit('warn', { message: formatMessage({ options, message }) });
     return ok;
   }
   ctx.check.not = (ok, message) => {
-    if (ok) console.warn(formatMessage({ options, message }));
+    if (ok && getCheckLevel() !== 'off') emit('warn', { message: formatMessage({ options, message }) });
     return !ok;
   }
 
-  ctx.check.is = makeIs((ok, { type, value, path }) => {
-    if (!ok) console.warn(formatExpected({ options, type, value, path }));
+  ctx.check.is = makeIs((ok, info) => {
+    if (!ok) warnExpected(info);
     return ok;
-  });
-  ctx.check.is.not = makeIs((ok, { type, value, path }) => {
-    if (ok) console.warn(formatExpected({ options, type, value, path }));
+  }, { checked: true, method: 'check.is' });
+  ctx.check.is.not = makeIs((ok, info) => {
+    if (ok) warnExpected(negated(info));
     return !ok;
+  }, { negated: true, checked: true, method: 'check.is.not' });
+
+  // collects every failing path instead of stopping at the first
+  ctx.validate = (type, value, desc) => {
+    const errors = collect(type, value, pathOf(desc)).map(info => ({
+      ...failureOf(info),
+      message: formatExpected({ options, root: value, ...info }),
+    }));
+    return { ok: errors.length === 0, errors };
+  }
+
+  // the coercer, guards and samplers are made on first use, as most instances never use them
+  let coercer;
+  const coerce = (type, value, coerceOptions) => (coercer ??= makeCoercer({
+    typeCheckers: checkers,
+    schemas,
+    undot: undotDefault,
+    is: (type, value) => silent(type, value),
+    fail: message => throwMessage({ options, message }),
+  }))(type, value, coerceOptions);
+
+  // converts what it can towards the spec, then checks the result like assert.is or check.is
+  ctx.coerce = (type, value, desc, coerceOptions) => {
+    const result = coerce(type, value, coerceOptions);
+    ctx.assert.is(type, result, desc);
+    return result;
+  }
+  ctx.assert.coerce = ctx.coerce;
+  ctx.check.coerce = (type, value, desc, coerceOptions) => {
+    const result = coerce(type, value, coerceOptions);
+    ctx.check.is(type, result, desc);
+    return result;
+  }
+
+  // proxies that keep checking a value as it is changed, reporting like assert.is or check.is
+  const guardWith = checker => {
+    let guard;
+    return (type, value, desc) => (guard ??= makeGuard({
+      schemas,
+      is: (type, value) => silent(type, value),
+      check: (type, value, desc) => checker.is(type, value, desc),
+    }))(type, value, desc);
+  }
+  ctx.guard = guardWith(ctx.assert);
+  ctx.assert.guard = ctx.guard;
+  ctx.check.guard = guardWith(ctx.check);
+
+  // random values that pass a spec, and values just outside it, for tests; the same seed gives the same values
+  let sampler;
+  const samplerOf = () => sampler ??= makeSampler({
+    typeCheckers: checkers,
+    schemas,
+    is: (type, value) => silent(type, value),
+    fail: message => throwMessage({ options, message }),
+  });
+  ctx.sample = (type, sampleOptions) => samplerOf().sample(type, sampleOptions);
+  ctx.samples = (type, n, sampleOptions) => samplerOf().samples(type, n, sampleOptions);
+  ctx.invalidSamples = (type, sampleOptions) => samplerOf().invalidSamples(type, sampleOptions);
+
+  // precompiles a spec into a reusable predicate, with assert, check and validate variants
+  ctx.compile = type => Object.assign(ctx.is.compile(type), {
+    not: ctx.is.not.compile(type),
+    assert: ctx.assert.is.compile(type),
+    check: ctx.check.is.compile(type),
+    validate: (value, desc) => ctx.validate(type, value, desc),
   });
 
-  ctx.log = (...args) => console.log(...options.prefix().filter(Boolean), ...args);
-  ctx.warn = (...args) => warnMessage({ options }, ...args);
-  ctx.error = message => console.error(formatMessage({ options, message }));
-  ctx.debug = message => console.debug(formatMessage({ options, message }));
+  ctx.log = (...args) => emit('log', { message: formatMessage({ options }).trim(), args });
+  ctx.warn = (...args) => emit('warn', { message: formatMessage({ options }).trim(), args });
+  ctx.error = message => emit('error', { message: formatMessage({ options, message }) });
+  ctx.debug = message => emit('debug', { message: formatMessage({ options, message }) });
   ctx.throw = message => throwMessage({ options, message });
 
 }
+/* ---- 2e. mixin layers ---- */
+// every class a mixin makes records its layer. a mixin applied over such a class adds its own layer,
+// and the innermost layer's constructor applies one context for all of them
+const layersKey = Symbol('layers');
+const layersOf = Class => Class?.[layersKey] ?? [];
+
+// the class a mixin made that a class is, or extends
+const layerClassOf = Class => Object.hasOwn(Class, layersKey) ? Class : layerClassOf(Object.getPrototypeOf(Class));
+
+// static `checkers` fields, from the base class down
+function staticCheckersOf(Class) {
+  const found = [];
+  for (let C = Class; C && C !== Function.prototype; C = Object.getPrototypeOf(C)) {
+    if (Object.hasOwn(C, 'checkers')) found.unshift(C.checkers);
+  }
+  return found;
+}
+
+// checkers are merged from the innermost layer out, then from static fields; a name that is
+// already taken keeps its first checker, and is listed in conflicts. options of outer layers win
+const composed = new WeakMap();
+function composeLayers(Class) {
+  if (composed.has(Class)) return composed.get(Class);
+  const layers = layersOf(Class);
+  const typeCheckers = {};
+  const conflicts = [];
+  for (const checkers of [...layers.map(layer => layer.typeCheckers), ...staticCheckersOf(Class)]) {
+    for (const [name, checker] of Object.entries(checkers)) {
+      if (!Object.hasOwn(typeCheckers, name)) typeCheckers[name] = checker;
+      else if (typeCheckers[name] !== checker && !conflicts.includes(name)) conflicts.push(name);
+    }
+  }
+  const outerFirst = [...layers].reverse();
+  const result = {
+    typeCheckers,
+    conflicts,
+    options: Object.assign({}, ...layers.map(layer => layer.options)),
+    classPrefixes: outerFirst.map(layer => layer.classPrefix),
+    instancePrefixes: outerFirst.map(layer => layer.instancePrefix).filter(Boolean),
+  };
+  composed.set(Class, result);
+  return result;
+}
+
+// subclasses whose new conflicts have been reported, by their static context or first instance
+const reportedClasses = new WeakSet();
+
+// conflicts of a class that the mixin class it extends has not reported yet
+const warnConflicts = (ctx, Class, known) => {
+  const reported = known ? composeLayers(layerClassOf(known)).conflicts : [];
+  for (const name of composeLayers(Class).conflicts) {
+    if (!reported.includes(name)) ctx.warn(`checker "${name}" is already defined, the first definition is kept`);
+  }
+}
+
+// instances get these from the innermost mixin's prototype, so that subclasses can define their own;
+// they call the context the innermost constructor made, under contextKey
+const contextKey = Symbol('context');
+const prototypeMembers = ['validate', 'compile', 'coerce', 'guard', 'sample', 'samples', 'invalidSamples'];
+
 export function createWithTypeCheckers(extraTypeCheckers = {}) {
   const typeCheckers = { ...defaultTypeCheckers, ...extraTypeCheckers };
 
@@ -159,29 +763,112 @@ export function createWithTypeCheckers(extraTypeCheckers = {}) {
       ? [ClassOrOptions, maybeOptions ?? {}]
       : [class { }, ClassOrOptions ?? {}];
 
-    let { classPrefix = Class.name ?? 'typecheck', instancePrefix = null, ...options } = allOptions;
+    // over another mixin's class, the class name is left out when an inner layer has it already
+    const inner = layersOf(Class);
+    const defaultPrefix = inner.some(layer => layer.classPrefix === Class.name) ? null : Class.name ?? 'typecheck';
+    let { classPrefix = defaultPrefix, instancePrefix = null, properties = {}, ...options } = allOptions;
 
     if (typeof classPrefix === 'function') classPrefix = classPrefix();
-    if (typeof instancePrefix === 'string') instancePrefix = instance => instance[instancePrefix];
+    if (typeof instancePrefix === 'string') {
+      const key = instancePrefix;
+      instancePrefix = instance => instance[key];
+    }
+
+    const layers = [...inner, { typeCheckers, options, classPrefix, instancePrefix }];
 
     return class extends Class {
       static {
-        applyCheckerContext(typeCheckers, this, {
-          ...options,
-          prefix: () => [classPrefix],
-        });
+        Object.defineProperty(this, layersKey, { value: layers });
+        const Mixin = this;
+        const staticContextOf = Class => {
+          const { typeCheckers, options, classPrefixes } = composeLayers(Class);
+          const ctx = {};
+          applyCheckerContext(typeCheckers, ctx, {
+            ...options,
+            prefix: () => classPrefixes,
+            owner: Class.name,
+          });
+          return ctx;
+        }
+        // subclasses get their own static context on first use, with their own static `checkers`,
+        // and recorded under their name as their instances are
+        const contexts = new WeakMap([[Mixin, staticContextOf(Mixin)]]);
+        const contextOf = Class => {
+          if (contexts.has(Class)) return contexts.get(Class);
+          const ctx = staticContextOf(Class);
+          contexts.set(Class, ctx);
+          if (Object.hasOwn(Class, 'checkers') && !reportedClasses.has(Class)) {
+            reportedClasses.add(Class);
+            warnConflicts(ctx, Class, Class);
+          }
+          return ctx;
+        }
+        for (const key of Object.keys(contexts.get(Mixin))) {
+          Object.defineProperty(Mixin, key, { configurable: true, get() { return contextOf(this)[key]; } });
+        }
+        warnConflicts(Mixin, Mixin, inner.length ? Class : null);
+        // methods of the class passed in keep their names
+        if (!inner.length) {
+          for (const key of prototypeMembers.filter(key => !(key in Class.prototype))) {
+            const { [key]: method } = { [key](...args) { return this[contextKey][key](...args); } };
+            Object.defineProperty(Mixin.prototype, key, { configurable: true, writable: true, value: method });
+          }
+        }
+        defineProperties(Mixin, properties);
       }
       constructor(...args) {
+        const innermost = inner.length === 0;
+        if (innermost) checkConstructorArguments(new.target, args);
         super(...args);
-        applyCheckerContext(typeCheckers, this, {
-          ...options,
-          prefix: () => [classPrefix, instancePrefix?.call(this, this)],
-        });
+        if (innermost) {
+          applySignatures(new.target);
+          const { typeCheckers, options, classPrefixes, instancePrefixes } = composeLayers(new.target);
+          const ctx = {};
+          applyCheckerContext(typeCheckers, ctx, {
+            ...options,
+            prefix: () => [classPrefixes, instancePrefixes.map(prefix => prefix.call(this, this))],
+            owner: new.target.name,
+          });
+          Object.defineProperty(this, contextKey, { value: ctx });
+          for (const [key, member] of Object.entries(ctx)) {
+            if (!prototypeMembers.includes(key)) this[key] = member;
+          }
+          if (!reportedClasses.has(new.target)) {
+            reportedClasses.add(new.target);
+            warnConflicts(this, new.target, new.target);
+          }
+        }
+        initProperties(this, properties);
       }
     };
   }
 }
 
+/* ---- 2g. standalone checkers ---- */
+// prefixes are resolved for every message, like instancePrefix, so functions can return changing values
+const prefixOf = prefix => typeof prefix === 'function' ? prefix() : prefix;
+
+function makeChecker(typeCheckers, options, prefix) {
+  const checker = {};
+  applyCheckerContext(typeCheckers, checker, { ...options, prefix, owner: formatPrefix(prefix()).trim() });
+  checker.child = childPrefix => makeChecker(typeCheckers, options, () => [prefix(), prefixOf(childPrefix)]);
+  return checker;
+}
+
+// the members a mixin installs, on a plain object for functions and modules
+export function createChecker({ prefix, checkers = {}, ...options } = {}) {
+  return makeChecker({ ...defaultTypeCheckers, ...checkers }, options, () => [prefixOf(prefix)]);
+}
+
 /* -------------- 3.  default export -------------- */
+export { TypeCheckError, formatDiff } from "./formatMessage.js";
+export { formatSpec } from "./formatSpec.js";
+export { formatValue, createValueFormatter } from "./formatValue.js";
+export { getTypeCheckStats, dumpTypeCheckStats, resetTypeCheckStats } from "./stats.js";
+export { toJSONSchema, fromJSONSchema } from "./jsonSchema.js";
+export { toTypeScript, toDeclarations } from "./toTypeScript.js";
+export { consoleReporter, silentReporter, createMemoryReporter, getCheckLevel, setCheckLevel } from "./reporters.js";
+// samplers for the default checkers
+export const { sample, samples, invalidSamples } = createChecker();
 export const withTypeCheckers = createWithTypeCheckers();
 export default withTypeCheckers;
\ No newline at end of file